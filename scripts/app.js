@@ -0,0 +1,304 @@
+/**
+ * CATALYST - ENTERPRISE INTELLIGENCE SOLUTIONS
+ * Application bootstrap: registers the page components and mounts them
+ * through a ComponentRegistry. Plugins add their own with
+ * `CatalystApp.use(plugin)` (or `window.CatalystApp.use` on the live page),
+ * before or after the page has booted:
+ *
+ *   CatalystApp.use({
+ *       name: 'chatWidget',
+ *       dependencies: ['consent'],
+ *       condition: '(min-width: 768px)',
+ *       mount: ({ consent }) => new ChatWidget(consent)
+ *   });
+ *
+ * A plugin is a component definition (see component-registry.js), an array
+ * of them, or a function called with each app to register them itself.
+ *
+ * `CatalystApp.configure(overrides)` tunes CONFIG at runtime on top of the
+ * page's own settings (see services/runtime-config.js).
+ */
+
+import { ComponentRegistry } from './services/component-registry.js';
+import { getErrorReporter } from './services/error-reporter.js';
+import { getRuntimeConfig } from './services/runtime-config.js';
+import { getPerformanceGovernor } from './services/performance-governor.js';
+import { getI18n } from './services/i18n.js';
+import { ThemeManager } from './services/theme-manager.js';
+import { PageMetadata } from './services/page-metadata.js';
+import { ConsentManager } from './services/consent-manager.js';
+import { Analytics } from './services/analytics.js';
+import { ConsentBanner } from './components/consent-banner.js';
+import { ContentSections } from './components/content-sections.js';
+import { ToastManager } from './components/toast-manager.js';
+import { MobileNavigation } from './components/mobile-navigation.js';
+import { SmoothScrolling } from './components/smooth-scrolling.js';
+import { HeaderScrollEffects } from './components/header-scroll-effects.js';
+import { ScrollAnimations } from './components/scroll-animations.js';
+import { StatCounters } from './components/stat-counters.js';
+import { ContactForm } from './components/contact-form.js';
+import { LeadWizard } from './components/lead-wizard.js';
+import { MeetingScheduler } from './components/meeting-scheduler.js';
+import { InteractiveButtons } from './components/interactive-buttons.js';
+import { ParticleSystem } from './components/particle-system.js';
+import { FloatingDotsBackground } from './components/floating-dots-background.js';
+import { ShapeFormingParticleSystem } from './components/shape-forming-particle-system.js';
+import { TypingEffect } from './components/typing-effect.js';
+
+// ==========================================================================
+// CORE COMPONENTS
+// ==========================================================================
+
+// Services throw on bad arguments by design, so they aren't guarded;
+// see component-registry.js
+const CORE_COMPONENTS = [
+    // First, to hear about everything that goes wrong after it
+    {
+        name: 'errorReporter',
+        priority: -40,
+        guard: false,
+        mount: () => {
+            const reporter = getErrorReporter();
+            reporter.init();
+            return reporter;
+        }
+    },
+    // Catalogs load in the background; components follow along through
+    // `i18n:change`
+    {
+        name: 'i18n',
+        priority: -30,
+        guard: false,
+        mount: () => {
+            const i18n = getI18n();
+            i18n.init();
+            return i18n;
+        }
+    },
+    {
+        name: 'consent',
+        priority: -20,
+        guard: false,
+        mount: () => new ConsentManager()
+    },
+    // Subscribes to the event bus before anything publishes to it,
+    // collecting only while the visitor allows it
+    {
+        name: 'analytics',
+        dependencies: ['consent'],
+        priority: -20,
+        guard: false,
+        mount: ({ consent }, app) => {
+            const analytics = new Analytics();
+            analytics.setConsent(consent.has('analytics'));
+            app.unsubscribeConsent = consent.onChange(choices => analytics.setConsent(choices.analytics));
+            return analytics;
+        },
+        unmount: (analytics, app) => {
+            app.unsubscribeConsent();
+            analytics.destroy();
+        }
+    },
+    // Theme and performance tier before the effects, so they start with the
+    // right colours and strength
+    {
+        name: 'themeManager',
+        priority: -10,
+        guard: false,
+        mount: () => new ThemeManager()
+    },
+    {
+        name: 'performance',
+        priority: -10,
+        guard: false,
+        mount: () => {
+            const governor = getPerformanceGovernor();
+            governor.init();
+            return governor;
+        }
+    },
+    // Loads in the background; scrollAnimations reveals the cards it renders
+    {
+        name: 'content',
+        dependencies: ['i18n'],
+        mount: ({ i18n }) => new ContentSections(i18n)
+    },
+    {
+        name: 'pageMetadata',
+        dependencies: ['i18n', 'content'],
+        mount: ({ i18n, content }) => new PageMetadata(i18n, content)
+    },
+    {
+        name: 'consentBanner',
+        dependencies: ['consent'],
+        mount: ({ consent }) => new ConsentBanner(consent)
+    },
+    { name: 'toastManager', mount: () => new ToastManager() },
+    { name: 'mobileNavigation', mount: () => new MobileNavigation() },
+    { name: 'smoothScrolling', mount: () => new SmoothScrolling() },
+    { name: 'headerScrollEffects', mount: () => new HeaderScrollEffects() },
+    { name: 'scrollAnimations', mount: () => new ScrollAnimations() },
+    { name: 'statCounters', mount: () => new StatCounters() },
+    {
+        name: 'contactForm',
+        dependencies: ['toastManager'],
+        // The one-step form whenever the wizard is switched off
+        mount: ({ toastManager }) => (LeadWizard.isAvailable()
+            ? new LeadWizard(toastManager)
+            : new ContactForm(toastManager))
+    },
+    { name: 'meetingScheduler', mount: () => new MeetingScheduler() },
+    { name: 'interactiveButtons', mount: () => new InteractiveButtons() },
+
+    // Background effects
+    { name: 'particleSystem', priority: 10, mount: () => new ParticleSystem() },
+    { name: 'floatingDots', priority: 10, mount: () => new FloatingDotsBackground() },
+    {
+        name: 'shapeFormingParticles',
+        priority: 10,
+        delay: 2000,
+        mount: () => new ShapeFormingParticleSystem()
+    },
+
+    // Phrases and timing come from the element's data-typing-* attributes
+    {
+        name: 'typingEffect',
+        priority: 10,
+        delay: 3000,
+        condition: () => Boolean(document.getElementById('typing-text')),
+        mount: () => new TypingEffect(document.getElementById('typing-text'))
+    }
+];
+
+// Plugins registered through CatalystApp.use(), and the apps to pass them to
+const plugins = [];
+const liveApps = new Set();
+
+// A broken plugin shouldn't stop the page, or the other plugins, from booting
+function installPlugin(app, plugin) {
+    try {
+        app.use(plugin);
+    } catch (error) {
+        console.error('Plugin could not be registered:', error);
+    }
+}
+
+// ==========================================================================
+// APPLICATION INITIALIZATION
+// ==========================================================================
+
+export class CatalystApp {
+    /**
+     * Register a plugin with every app, including ones already running
+     *
+     * @param {Object|Array|Function} plugin
+     * @returns {typeof CatalystApp}
+     */
+    static use(plugin) {
+        plugins.push(plugin);
+        liveApps.forEach(app => installPlugin(app, plugin));
+        return CatalystApp;
+    }
+
+    /**
+     * Override CONFIG settings; see services/runtime-config.js
+     *
+     * @param {Object} overrides - Shaped like CONFIG
+     * @throws {ConfigError} If a value is invalid
+     */
+    static configure(overrides) {
+        getRuntimeConfig().configure(overrides);
+        return CatalystApp;
+    }
+
+    constructor() {
+        this.registry = new ComponentRegistry(this);
+        this.components = this.registry.instances;
+
+        CORE_COMPONENTS.forEach(definition => this.registry.register(definition));
+        plugins.forEach(plugin => installPlugin(this, plugin));
+        liveApps.add(this);
+
+        this.init();
+    }
+
+    init() {
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => {
+                this.initializeComponents();
+            });
+        } else {
+            this.initializeComponents();
+        }
+    }
+
+    /**
+     * Register a plugin with this app; it mounts straight away if the page
+     * has already booted
+     *
+     * @param {Object|Array|Function} plugin
+     * @returns {CatalystApp}
+     */
+    use(plugin) {
+        if (typeof plugin === 'function') {
+            plugin(this);
+        } else {
+            [].concat(plugin).forEach(definition => this.registry.register(definition));
+        }
+        return this;
+    }
+
+    /**
+     * Shorthand for registering a single component definition
+     */
+    register(definition) {
+        this.registry.register(definition);
+        return this;
+    }
+
+    get(name) {
+        return this.registry.get(name);
+    }
+
+    /**
+     * Same as CatalystApp.configure(), for the instance on window
+     */
+    configure(overrides) {
+        CatalystApp.configure(overrides);
+        return this;
+    }
+
+    initializeComponents() {
+        // Add loading animation
+        this.initializeLoadingAnimation();
+
+        // Page settings before anything reads CONFIG
+        getRuntimeConfig().loadFromDocument();
+
+        // Each component mounts on its own; see component-registry.js
+        this.registry.start();
+
+        // Mark app as loaded
+        document.body.classList.add('loaded');
+
+        console.log('🚀 Catalyst Enterprise Intelligence - Enhanced Landing Page Loaded Successfully!');
+    }
+
+    initializeLoadingAnimation() {
+        document.body.style.opacity = '0';
+        document.body.style.transform = 'translateY(30px)';
+        document.body.style.transition = 'all 0.8s ease-out';
+
+        // Clear the transform afterwards: a transformed body would become the
+        // containing block for the fixed header and toast
+        setTimeout(() => {
+            document.body.style.opacity = '1';
+            document.body.style.transform = '';
+        }, 100);
+    }
+
+    destroy() {
+        liveApps.delete(this);
+        this.registry.destroy();
+    }
+}
@@ -0,0 +1,112 @@
+/**
+ * CATALYST - ENTERPRISE INTELLIGENCE SOLUTIONS
+ * Consent Banner
+ *
+ * Shows #consent-banner until the visitor has made a choice, with a checkbox
+ * per category (named after it) and accept / reject / save buttons.
+ * Any [data-consent-open] button reopens it to change the choice later.
+ */
+
+import { guarded } from '../services/component-registry.js';
+
+export class ConsentBanner {
+    /**
+     * @param {ConsentManager} consent
+     */
+    constructor(consent) {
+        this.consent = consent;
+        this.banner = document.getElementById('consent-banner');
+        this.form = this.banner && this.banner.querySelector('form');
+        this.openers = document.querySelectorAll('[data-consent-open]');
+        this.returnFocusTo = null;
+
+        this.init();
+    }
+
+    init() {
+        if (!this.banner || !this.form) return;
+
+        this.bindEvents();
+
+        if (!this.consent.isDecided) {
+            this.open({ focus: false });
+        }
+    }
+
+    bindEvents() {
+        this.handleSubmit = guarded((e) => {
+            e.preventDefault();
+            this.consent.save(this.readChoices());
+            this.close();
+        });
+
+        this.handleClick = guarded((e) => {
+            const button = e.target.closest('[data-consent-action]');
+            if (!button) return;
+
+            if (button.dataset.consentAction === 'accept') {
+                this.consent.grantAll();
+            } else if (button.dataset.consentAction === 'reject') {
+                this.consent.rejectAll();
+            }
+            this.close();
+        });
+
+        this.handleOpenerClick = guarded((e) => {
+            this.returnFocusTo = e.currentTarget;
+            this.open();
+        });
+
+        // Reopened banners can be dismissed; the first one needs an answer
+        this.handleKeydown = guarded((e) => {
+            if (e.key === 'Escape' && this.consent.isDecided) this.close();
+        });
+
+        this.form.addEventListener('submit', this.handleSubmit);
+        this.form.addEventListener('click', this.handleClick);
+        this.banner.addEventListener('keydown', this.handleKeydown);
+        this.openers.forEach(opener => opener.addEventListener('click', this.handleOpenerClick));
+    }
+
+    readChoices() {
+        const choices = {};
+        this.form.querySelectorAll('input[type="checkbox"][name]').forEach(input => {
+            if (input.name !== 'necessary') choices[input.name] = input.checked;
+        });
+        return choices;
+    }
+
+    open({ focus = true } = {}) {
+        const choices = this.consent.getChoices();
+        this.form.querySelectorAll('input[type="checkbox"][name]').forEach(input => {
+            input.checked = Boolean(choices[input.name]);
+        });
+
+        this.banner.hidden = false;
+        this.openers.forEach(opener => opener.setAttribute('aria-expanded', 'true'));
+
+        if (focus) {
+            const first = this.form.querySelector('input:not([disabled]), button');
+            if (first) first.focus();
+        }
+    }
+
+    close() {
+        this.banner.hidden = true;
+        this.openers.forEach(opener => opener.setAttribute('aria-expanded', 'false'));
+
+        if (this.returnFocusTo) {
+            this.returnFocusTo.focus();
+            this.returnFocusTo = null;
+        }
+    }
+
+    destroy() {
+        if (!this.banner || !this.form) return;
+
+        this.form.removeEventListener('submit', this.handleSubmit);
+        this.form.removeEventListener('click', this.handleClick);
+        this.banner.removeEventListener('keydown', this.handleKeydown);
+        this.openers.forEach(opener => opener.removeEventListener('click', this.handleOpenerClick));
+    }
+}
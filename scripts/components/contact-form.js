@@ -0,0 +1,248 @@
+/**
+ * CATALYST - ENTERPRISE INTELLIGENCE SOLUTIONS
+ * Contact Form
+ *
+ * Submissions go through a pluggable transport (see
+ * services/contact-transports.js). Sends that fail for a retryable reason
+ * are parked in a SubmissionQueue and re-sent once the browser is online.
+ * Fields are checked by a FormValidator built from CONFIG.contact.schema,
+ * then by a SpamGuard before anything is sent. Toasts and field errors take
+ * their text from the locale catalog (contact.* and form.errors.*).
+ * Invalid fields and submit outcomes are published to the event bus as
+ * `form_error` and `form_submit`; no field values are included.
+ * LeadWizard (lead-wizard.js) builds on it to ask one step at a time.
+ */
+
+import { CONFIG } from '../config.js';
+import { createTransport } from '../services/contact-transports.js';
+import { SubmissionQueue } from '../services/submission-queue.js';
+import { FormValidator } from '../services/form-validator.js';
+import { SpamGuard } from '../services/spam-guard.js';
+import { getI18n } from '../services/i18n.js';
+import { getEventBus } from '../services/event-bus.js';
+import { guarded } from '../services/component-registry.js';
+
+// Catalog keys for each SpamGuard verdict
+const BLOCKED_MESSAGES = {
+    'honeypot': 'contact.blocked.honeypot',
+    'too-fast': 'contact.blocked.tooFast',
+    'rate-limited': 'contact.blocked.rateLimited',
+    'challenge-failed': 'contact.blocked.challengeFailed'
+};
+
+const VALIDATION_RULES = ['required', 'minLength', 'maxLength', 'pattern', 'match', 'validate'];
+
+export class ContactForm {
+    constructor(toastManager, options = {}) {
+        this.form = document.getElementById('contact-form');
+        this.toastManager = toastManager;
+        this.isSubmitting = false;
+        this.transport = null;
+        this.queue = null;
+        this.validator = null;
+        this.spamGuard = null;
+
+        this.init(options);
+    }
+
+    init(options) {
+        if (!this.form) return;
+
+        this.submitButton = this.form.querySelector('[type="submit"]');
+        this.options = {
+            ...CONFIG.contact,
+            endpoint: this.form.dataset.endpoint || CONFIG.contact.endpoint,
+            ...options
+        };
+
+        this.i18n = getI18n();
+        this.bus = getEventBus();
+        this.validator = new FormValidator(this.form, this.options.schema, {
+            messages: this.getValidationMessages()
+        });
+        this.spamGuard = new SpamGuard(this.form, this.options.spam);
+        this.transport = createTransport(this.options);
+        this.queue = new SubmissionQueue(this.transport, {
+            ...this.options.queue,
+            onSent: () => {
+                this.toastManager.show({ key: 'contact.toast.queuedSent' }, 'success');
+            },
+            onDropped: () => {
+                this.toastManager.show(
+                    { key: 'contact.toast.dropped', params: { email: this.options.mailto } },
+                    'error',
+                    8000
+                );
+            }
+        });
+
+        this.bindEvents();
+
+        // Deliver anything left over from a previous visit
+        this.queue.flush();
+    }
+
+    bindEvents() {
+        this.form.addEventListener('submit', guarded((e) => {
+            e.preventDefault();
+            this.handleSubmit();
+        }));
+
+        // Re-run failed checks so their messages switch language too
+        this.handleLocaleChange = guarded(() => {
+            Object.keys(this.validator.errors).forEach(name => this.validator.validateField(name));
+        });
+        document.addEventListener('i18n:change', this.handleLocaleChange);
+    }
+
+    /**
+     * FormValidator message builders backed by the catalog: a field-specific
+     * form.errors.<field>.<rule> entry wins over the generic form.errors.<rule>
+     */
+    getValidationMessages() {
+        const messages = {};
+
+        VALIDATION_RULES.forEach(ruleName => {
+            messages[ruleName] = (label, rule, validator, name) => this.i18n.t(
+                [`form.errors.${name}.${ruleName}`, `form.errors.${ruleName}`],
+                {
+                    label,
+                    // Lower-cased for use mid-sentence
+                    field: label.toLowerCase(),
+                    min: rule.minLength,
+                    max: rule.maxLength,
+                    other: rule.match ? validator.getLabel(rule.match) : ''
+                },
+                null
+            );
+        });
+
+        return messages;
+    }
+
+    getFormData() {
+        return this.validator.getValues();
+    }
+
+    async handleSubmit() {
+        if (this.isSubmitting) return;
+
+        // Set before the async checks, so a second click can't slip in
+        this.setSubmitting(true);
+
+        try {
+            // Errors are shown next to each field and focus moves to the first one
+            const isValid = await this.validator.validate();
+            if (!isValid) {
+                Object.keys(this.validator.errors).forEach(field => {
+                    this.bus.emit('form_error', { form: 'contact', field });
+                });
+                return;
+            }
+
+            const verdict = await this.spamGuard.check(this.getFormData());
+            if (!verdict.allowed) {
+                this.handleBlocked(verdict);
+                return;
+            }
+
+            await this.submit(verdict.payload);
+        } catch (error) {
+            // A check that broke, rather than a failed send (submit() handles those)
+            console.error('Contact form submission failed:', error);
+            this.showFailed(error);
+        } finally {
+            this.setSubmitting(false);
+        }
+    }
+
+    handleBlocked(verdict) {
+        this.trackSubmit('blocked', { reason: verdict.reason });
+
+        if (verdict.silent) {
+            // Give bots nothing to learn from
+            this.toastManager.show({ key: 'contact.toast.sent' }, 'success');
+            this.resetForm();
+            return;
+        }
+
+        const params = verdict.retryAfter ? { count: Math.ceil(verdict.retryAfter / 60000) } : {};
+        this.toastManager.show({ key: BLOCKED_MESSAGES[verdict.reason], params }, 'error', 6000);
+    }
+
+    async submit(data) {
+        if (!navigator.onLine && this.transport.queueable !== false) {
+            this.queueSubmission(data);
+            return;
+        }
+
+        try {
+            // Failures get their own toast below, so the loading one just goes away
+            const result = await this.toastManager.promise(this.transport.send(data), {
+                loading: { key: 'contact.toast.sending' },
+                success: result => ({
+                    key: result && result.method === 'mailto' ? 'contact.toast.mailto' : 'contact.toast.sent'
+                }),
+                error: null
+            });
+            this.spamGuard.record();
+            this.resetForm();
+            this.trackSubmit('sent', { method: result && result.method });
+        } catch (error) {
+            if (error.retryable === false || this.transport.queueable === false) {
+                this.showFailed(error);
+            } else {
+                this.queueSubmission(data);
+            }
+        }
+    }
+
+    showFailed(error) {
+        this.trackSubmit('failed', { status: (error && error.status) || null });
+        this.toastManager.show(
+            { key: 'contact.toast.failed', params: { email: this.options.mailto } },
+            {
+                type: 'error',
+                duration: 8000,
+                action: { label: { key: 'contact.toast.retry' }, onClick: () => this.handleSubmit() }
+            }
+        );
+    }
+
+    queueSubmission(data) {
+        this.queue.enqueue(data);
+        this.spamGuard.record();
+        this.resetForm();
+        this.trackSubmit('queued');
+        this.toastManager.show({ key: 'contact.toast.queued' }, 'info', 6000);
+    }
+
+    trackSubmit(outcome, details = {}) {
+        this.bus.emit('form_submit', { form: 'contact', outcome, ...details });
+    }
+
+    resetForm() {
+        this.form.reset();
+        this.validator.reset();
+    }
+
+    setSubmitting(isSubmitting) {
+        this.isSubmitting = isSubmitting;
+        this.form.setAttribute('aria-busy', String(isSubmitting));
+
+        if (this.submitButton) {
+            this.submitButton.disabled = isSubmitting;
+        }
+    }
+
+    destroy() {
+        document.removeEventListener('i18n:change', this.handleLocaleChange);
+
+        if (this.queue) {
+            this.queue.destroy();
+        }
+        if (this.validator) {
+            this.validator.destroy();
+        }
+    }
+}
@@ -0,0 +1,256 @@
+/**
+ * CATALYST - ENTERPRISE INTELLIGENCE SOLUTIONS
+ * Content Sections
+ *
+ * Renders the challenge cards, solution cards, FAQ, contact cards and
+ * service list from JSON (CONFIG.content.path, or an inline
+ * <script type="application/json" id="catalyst-content">), so copy and
+ * figures can change without touching index.html:
+ *
+ *   {
+ *     "challenges":      [{ "i18n", "label", "value", "format", "chart", "text" }],
+ *     "solutions":       [{ "i18n", "icon", "title", "text" }],
+ *     "contactCards":    [{ "i18n", "type", "icon", "label", "value", "href" }],
+ *     "contactServices": [{ "i18n", "icon", "label", "description" }],
+ *     "faq":             [{ "i18n", "question", "answer" }],
+ *     "organization":    { "name", "url", "logo" }
+ *   }
+ *
+ * Each item is stamped out of a <template> in index.html (see SECTIONS),
+ * filling its [data-slot] elements. `i18n` is the catalog key (a prefix for
+ * cards with several strings) that translates the item; without one it
+ * shows as written in every locale. Solution texts may hold markup.
+ * Challenge figures are counted up by StatCounters, which reads `format`
+ * and `chart` (see stat-counters.js). Organization details, contact card
+ * types (email | phone | address | website) and service descriptions
+ * aren't shown here; they feed the page's structured data (see
+ * services/page-metadata.js), as does the FAQ.
+ * Contact cards with an empty value are left out, so the phone and address
+ * cards stay blank in content/sections.json until there are real details.
+ *
+ * The markup already in the page stays as it is for sections the content
+ * doesn't mention, or if it can't be loaded. A `content:render` event
+ * ({ sections, containers }) is dispatched on document after rendering.
+ */
+
+import { CONFIG } from '../config.js';
+import { formatStat } from './stat-counters.js';
+
+const INLINE_CONTENT_ID = 'catalyst-content';
+
+/**
+ * Set an element's text and, given a key, the catalog entry that replaces it
+ */
+function fillText(element, text, key) {
+    element.textContent = text;
+    if (key) element.dataset.i18n = key;
+}
+
+function fillIcon(element, icon) {
+    element.className = icon;
+}
+
+// Content key → where it goes and how an item fills its template
+const SECTIONS = {
+    challenges: {
+        container: '.challenges__grid',
+        template: 'challenge-card-template',
+        required: ['label', 'value', 'text'],
+        fill(card, slot) {
+            const prefix = card.i18n;
+            const stat = slot('stat');
+
+            fillText(slot('label'), card.label, prefix && `${prefix}.label`);
+            fillText(slot('text'), card.text, prefix && `${prefix}.text`);
+
+            stat.dataset.statValue = card.value;
+            if (card.format) stat.dataset.statFormat = card.format;
+            if (card.currency) stat.dataset.statCurrency = card.currency;
+            if (card.chart) stat.dataset.statChart = card.chart;
+            if (card.max) stat.dataset.statMax = card.max;
+            stat.textContent = formatStat(card.value, card);
+        }
+    },
+    solutions: {
+        container: '.solutions__grid',
+        template: 'solution-card-template',
+        required: ['icon', 'title', 'text'],
+        fill(card, slot) {
+            const prefix = card.i18n;
+            const text = slot('text');
+
+            fillIcon(slot('icon'), card.icon);
+            fillText(slot('title'), card.title, prefix && `${prefix}.title`);
+
+            // First-party content, trusted like the catalogs
+            text.innerHTML = card.text;
+            if (prefix) text.dataset.i18nHtml = `${prefix}.text`;
+        }
+    },
+    faq: {
+        container: '.faq__list',
+        template: 'faq-item-template',
+        required: ['question', 'answer'],
+        fill(item, slot) {
+            const prefix = item.i18n;
+
+            fillText(slot('question'), item.question, prefix && `${prefix}.question`);
+            fillText(slot('answer'), item.answer, prefix && `${prefix}.answer`);
+        }
+    },
+    contactCards: {
+        container: '.contact__cards',
+        template: 'contact-card-template',
+        required: ['icon', 'label'],
+        skip: card => !card.value,
+        fill(card, slot) {
+            const value = slot('value');
+
+            fillIcon(slot('icon'), card.icon);
+            fillText(slot('label'), card.label, card.i18n);
+
+            if (card.href) {
+                const link = document.createElement('a');
+                link.href = card.href;
+                link.textContent = card.value;
+                value.appendChild(link);
+            } else {
+                value.textContent = card.value;
+            }
+        }
+    },
+    contactServices: {
+        container: '.contact__services-grid',
+        template: 'contact-service-template',
+        required: ['icon', 'label'],
+        fill(service, slot) {
+            fillIcon(slot('icon'), service.icon);
+            fillText(slot('label'), service.label, service.i18n);
+        }
+    }
+};
+
+export class ContentSections {
+    /**
+     * @param {I18n} i18n - Translates the rendered items
+     * @param {Object} [options] - Overrides for CONFIG.content
+     */
+    constructor(i18n, options = {}) {
+        this.i18n = i18n;
+        this.options = { ...CONFIG.content, ...options };
+        this.isDestroyed = false;
+
+        // As loaded, or null until then (and if it can't be)
+        this.content = null;
+
+        // Resolves once the content is on the page (or was given up on)
+        this.ready = this.init();
+    }
+
+    async init() {
+        let content;
+        try {
+            content = await this.load();
+        } catch (error) {
+            console.warn('Content: keeping the page copy as it is:', error.message);
+            return;
+        }
+
+        if (this.isDestroyed) return;
+
+        this.content = content;
+        this.render(content);
+    }
+
+    load() {
+        const block = document.getElementById(INLINE_CONTENT_ID);
+        if (block && block.textContent.trim()) {
+            return Promise.resolve().then(() => JSON.parse(block.textContent));
+        }
+
+        return fetch(this.options.path).then(response => {
+            if (!response.ok) throw new Error(`Could not load ${this.options.path} (HTTP ${response.status})`);
+            return response.json();
+        });
+    }
+
+    // ==========================================================================
+    // RENDERING
+    // ==========================================================================
+
+    /**
+     * Replace the items of every section the content has
+     *
+     * @param {Object} content - Shaped as in the module header
+     */
+    render(content) {
+        if (!content || typeof content !== 'object') {
+            console.warn('Content: expected an object of sections');
+            return;
+        }
+
+        const rendered = [];
+        const containers = [];
+
+        Object.keys(SECTIONS).forEach(name => {
+            if (!(name in content)) return;
+
+            const container = this.renderSection(name, content[name]);
+            if (container) {
+                rendered.push(name);
+                containers.push(container);
+            }
+        });
+
+        if (!rendered.length) return;
+
+        // Catalogs that loaded first don't know about the new nodes
+        if (this.i18n && this.i18n.locale) {
+            containers.forEach(container => this.i18n.translate(container));
+        }
+
+        document.dispatchEvent(new CustomEvent('content:render', {
+            detail: { sections: rendered, containers }
+        }));
+    }
+
+    renderSection(name, items) {
+        const section = SECTIONS[name];
+        const container = document.querySelector(section.container);
+        const template = document.getElementById(section.template);
+
+        if (!container || !template) return null;
+        if (!Array.isArray(items)) {
+            console.warn(`Content: "${name}" should be a list`);
+            return null;
+        }
+
+        const nodes = [];
+        items.forEach((item, index) => {
+            const missing = section.required.filter(field => !item || item[field] === undefined || item[field] === null);
+            if (missing.length) {
+                console.warn(`Content: skipping ${name}[${index}], missing ${missing.join(', ')}`);
+                return;
+            }
+            if (section.skip && section.skip(item)) return;
+
+            nodes.push(this.renderItem(section, template, item));
+        });
+
+        container.replaceChildren(...nodes);
+        return container;
+    }
+
+    renderItem(section, template, item) {
+        const node = template.content.firstElementChild.cloneNode(true);
+        const slot = name => node.querySelector(`[data-slot="${name}"]`);
+
+        section.fill(item, slot);
+        node.querySelectorAll('[data-slot]').forEach(element => element.removeAttribute('data-slot'));
+        return node;
+    }
+
+    destroy() {
+        this.isDestroyed = true;
+    }
+}
@@ -0,0 +1,162 @@
+/**
+ * CATALYST - ENTERPRISE INTELLIGENCE SOLUTIONS
+ * Floating Dots Background
+ *
+ * Drawn by the shared canvas renderer (see effects/canvas-renderer.js).
+ * This class decides when dots appear and how big they are; the
+ * floating-dots layer animates them. As before, dots only run when the
+ * page has a #floating-dots element (`container`), and `dots` lists the
+ * ones on screen, now as { id, size, duration, delay } records (seconds)
+ * instead of elements. removeDot() takes one off the canvas.
+ */
+
+import { CONFIG } from '../config.js';
+import { prefersReducedMotion, getCssVariable, withAlpha } from '../utils.js';
+import { getRenderer } from '../effects/canvas-renderer.js';
+import { weightedRandom } from '../effects/layers/layer.js';
+import { getPerformanceGovernor } from '../services/performance-governor.js';
+import { guarded } from '../services/component-registry.js';
+
+// Higher probability for smaller dots; durations are seconds per rise
+const DOT_SIZES = [
+    { name: 'small', size: 3, duration: 15, weight: 0.4 },
+    { name: 'medium', size: 5, duration: 20, weight: 0.3 },
+    { name: 'large', size: 8, duration: 25, weight: 0.2 },
+    { name: 'extra-large', size: 12, duration: 30, weight: 0.1 }
+];
+
+// Theme tokens (with fallbacks) and the opacity each dot colour is drawn at
+const DOT_TONES = [
+    { token: '--effect-primary', fallback: '#FFD700', alpha: 0.8 }, // Gold
+    { token: '--effect-light', fallback: '#FFFFFF', alpha: 0.6 }, // White
+    { token: '--effect-secondary', fallback: '#FFB700', alpha: 0.7 }, // Darker gold
+    { token: '--effect-highlight', fallback: '#FFEB3B', alpha: 0.5 }  // Light gold
+];
+
+function getDotColors() {
+    return DOT_TONES.map(tone => withAlpha(getCssVariable(tone.token, tone.fallback), tone.alpha));
+}
+
+export class FloatingDotsBackground {
+    constructor() {
+        this.container = document.getElementById('floating-dots');
+        this.renderer = getRenderer();
+        this.layer = null;
+        this.dots = [];
+        this.nextDotId = 1;
+        this.maxDots = this.getMaxDots();
+        this.isRunning = false;
+        this.timers = [];
+
+        if (!this.container || !this.renderer) return;
+
+        this.init();
+    }
+
+    getMaxDots() {
+        // Respect user's motion preferences
+        if (prefersReducedMotion()) return CONFIG.dots.reducedMotionMax;
+
+        return Math.round(CONFIG.dots.max * getPerformanceGovernor().getSettings().dots);
+    }
+
+    init() {
+        this.isRunning = true;
+        this.layer = this.renderer.addLayer('floating-dots', {
+            maxDots: this.maxDots,
+            sizes: DOT_SIZES,
+            colors: getDotColors(),
+            order: 0
+        });
+
+        // Dots already on screen are recoloured too
+        this.handleThemeChange = guarded(() => this.layer.post('colors', getDotColors()));
+        document.addEventListener('theme:change', this.handleThemeChange);
+
+        // A lower limit lets the extra dots finish rising rather than vanish
+        this.handleLimitChange = guarded(() => {
+            this.maxDots = this.getMaxDots();
+            this.layer.post('max', this.maxDots);
+        });
+        this.handleConfigChange = guarded((e) => {
+            if (e.detail.sections.includes('dots')) this.handleLimitChange();
+        });
+        document.addEventListener('config:change', this.handleConfigChange);
+        document.addEventListener('performance:change', this.handleLimitChange);
+
+        this.createInitialDots();
+        this.startDotGeneration();
+    }
+
+    createInitialDots() {
+        // Create some initial dots at random positions
+        for (let i = 0; i < Math.floor(this.maxDots / 3); i++) {
+            this.timers.push(setTimeout(() => {
+                if (this.isRunning) this.createDot();
+            }, Math.random() * 3000));
+        }
+    }
+
+    startDotGeneration() {
+        this.dotInterval = setInterval(() => {
+            if (this.dots.length < this.maxDots && this.isRunning) {
+                this.createDot();
+            }
+        }, 800 + Math.random() * 1200); // Every 0.8-2 seconds
+    }
+
+    createDot() {
+        if (!this.layer) return null;
+
+        const sizeClass = this.weightedRandom(DOT_SIZES.map(size => size.name), DOT_SIZES.map(size => size.weight));
+
+        // Slight variation in animation duration (±15%), and a random delay before starting
+        const duration = this.getBaseDuration(sizeClass) * (1 + (Math.random() - 0.5) * 0.3);
+        const delay = Math.random() * 2;
+
+        const dot = { id: this.nextDotId++, size: sizeClass, duration, delay };
+        this.layer.post('spawn', { id: dot.id, size: sizeClass, duration: duration * 1000, delay: delay * 1000 });
+        this.dots.push(dot);
+
+        // Forget the dot once it has risen off the screen
+        dot.timer = setTimeout(() => this.removeDot(dot), (duration + delay) * 1000);
+        return dot;
+    }
+
+    getBaseDuration(sizeClass) {
+        const size = DOT_SIZES.find(entry => entry.name === sizeClass);
+        return size ? size.duration : 20;
+    }
+
+    weightedRandom(items, weights) {
+        return weightedRandom(items, weights);
+    }
+
+    removeDot(dot) {
+        const index = this.dots.indexOf(dot);
+        if (index === -1) return;
+
+        this.dots.splice(index, 1);
+        clearTimeout(dot.timer);
+        if (this.layer) this.layer.post('remove', dot.id);
+    }
+
+    destroy() {
+        this.isRunning = false;
+        if (this.dotInterval) {
+            clearInterval(this.dotInterval);
+        }
+        this.timers.forEach(clearTimeout);
+        this.timers = [];
+        this.dots.forEach(dot => clearTimeout(dot.timer));
+        this.dots = [];
+
+        if (this.layer) {
+            document.removeEventListener('theme:change', this.handleThemeChange);
+            document.removeEventListener('config:change', this.handleConfigChange);
+            document.removeEventListener('performance:change', this.handleLimitChange);
+            this.layer.remove();
+            this.layer = null;
+        }
+    }
+}
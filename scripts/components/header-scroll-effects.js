@@ -0,0 +1,44 @@
+/**
+ * CATALYST - ENTERPRISE INTELLIGENCE SOLUTIONS
+ * Header Scroll Effects
+ */
+
+import { CONFIG } from '../config.js';
+import { throttle, getScrollTop } from '../utils.js';
+
+export class HeaderScrollEffects {
+    constructor() {
+        this.header = document.querySelector('.header');
+        this.lastScrollTop = 0;
+        this.isScrolled = false;
+
+        this.init();
+    }
+
+    init() {
+        if (!this.header) return;
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        const handleScroll = throttle(() => {
+            this.updateHeader();
+        }, 16);
+
+        window.addEventListener('scroll', handleScroll, { passive: true });
+    }
+
+    updateHeader() {
+        const scrollTop = getScrollTop();
+        
+        if (scrollTop > CONFIG.scroll.threshold && !this.isScrolled) {
+            this.header.classList.add('scrolled');
+            this.isScrolled = true;
+        } else if (scrollTop <= CONFIG.scroll.threshold && this.isScrolled) {
+            this.header.classList.remove('scrolled');
+            this.isScrolled = false;
+        }
+
+        this.lastScrollTop = scrollTop;
+    }
+}
@@ -0,0 +1,103 @@
+/**
+ * CATALYST - ENTERPRISE INTELLIGENCE SOLUTIONS
+ * Interactive Button Effects
+ *
+ * Clicks on .cta-button ripple. Only links marked `data-cta` are published
+ * as `cta_click`; form buttons share the look but not the meaning.
+ */
+
+import { getEventBus } from '../services/event-bus.js';
+import { guarded } from '../services/component-registry.js';
+
+export class InteractiveButtons {
+    constructor() {
+        this.buttons = document.querySelectorAll('.cta-button');
+        this.successMessage = document.getElementById('success-message');
+        this.bus = getEventBus();
+
+        this.init();
+    }
+
+    init() {
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        this.buttons.forEach(button => {
+            button.addEventListener('click', guarded((e) => {
+                this.createRippleEffect(e, button);
+
+                if (button.hasAttribute('data-cta')) {
+                    this.trackClick(button);
+                }
+
+                if (button.id === 'cta-button') {
+                    this.showSuccessMessage();
+                }
+            }));
+        });
+    }
+
+    trackClick(button) {
+        this.bus.emit('cta_click', {
+            id: button.id || null,
+            label: button.textContent.replace(/\s+/g, ' ').trim(),
+            href: button.getAttribute('href')
+        });
+    }
+
+    createRippleEffect(e, button) {
+        const ripple = document.createElement('span');
+        const rect = button.getBoundingClientRect();
+        const size = Math.max(rect.height, rect.width);
+        const x = e.clientX - rect.left - size / 2;
+        const y = e.clientY - rect.top - size / 2;
+        
+        ripple.style.cssText = `
+            position: absolute;
+            border-radius: 50%;
+            background: rgba(255, 255, 255, 0.6);
+            transform: scale(0);
+            animation: ripple 0.6s ease-out;
+            left: ${x}px;
+            top: ${y}px;
+            width: ${size}px;
+            height: ${size}px;
+            pointer-events: none;
+        `;
+        
+        // Add ripple keyframes to document if not exists
+        if (!document.getElementById('ripple-styles')) {
+            const style = document.createElement('style');
+            style.id = 'ripple-styles';
+            style.textContent = `
+                @keyframes ripple {
+                    to {
+                        transform: scale(2);
+                        opacity: 0;
+                    }
+                }
+            `;
+            document.head.appendChild(style);
+        }
+        
+        button.style.position = 'relative';
+        button.appendChild(ripple);
+        
+        setTimeout(() => {
+            if (ripple.parentNode) {
+                ripple.parentNode.removeChild(ripple);
+            }
+        }, 600);
+    }
+
+    showSuccessMessage() {
+        if (!this.successMessage) return;
+        
+        this.successMessage.classList.add('show');
+        
+        setTimeout(() => {
+            this.successMessage.classList.remove('show');
+        }, 3000);
+    }
+}
@@ -0,0 +1,342 @@
+/**
+ * CATALYST - ENTERPRISE INTELLIGENCE SOLUTIONS
+ * Lead Wizard
+ *
+ * Runs the contact form one <fieldset class="form__step" data-step="…"> at
+ * a time: the service wanted, then company size and data maturity, then
+ * the contact details. Next only moves on once the step's fields are
+ * valid, and Back keeps the answers. The .form__progress list marks the
+ * current step with aria-current="step", and [data-wizard-status]
+ * announces it.
+ *
+ * Answers are kept as a draft in localStorage while the visitor types,
+ * and put back on their next visit until they're sent, discarded or older
+ * than CONFIG.contact.wizard.draftMaxAge. Sending is ContactForm's own
+ * path: spam checks, transport and offline queue, with the answers from
+ * every step in the payload.
+ *
+ * In the markup every step but the last is hidden and disabled, so the
+ * one-step form is what's left whenever the wizard doesn't run: without
+ * scripts, with CONFIG.contact.wizard.enabled off, or on a form marked
+ * data-contact-mode="simple" (see isAvailable()).
+ */
+
+import { CONFIG } from '../config.js';
+import { debounce } from '../utils.js';
+import { ContactForm } from './contact-form.js';
+import { guarded } from '../services/component-registry.js';
+
+export class LeadWizard extends ContactForm {
+    /**
+     * Whether `form` should run as a wizard rather than the one-step form
+     */
+    static isAvailable(form = document.getElementById('contact-form')) {
+        return Boolean(form)
+            && CONFIG.contact.wizard.enabled
+            && form.dataset.contactMode !== 'simple'
+            && form.querySelectorAll('.form__step[data-step]').length > 1;
+    }
+
+    init(options) {
+        if (!this.form) return;
+
+        this.wizardOptions = { ...CONFIG.contact.wizard, ...options.wizard };
+        this.steps = Array.from(this.form.querySelectorAll('.form__step[data-step]'));
+        this.current = 0;
+        this.progress = this.form.querySelector('.form__progress');
+        this.status = this.form.querySelector('[data-wizard-status]');
+        this.draftNotice = this.form.querySelector('[data-wizard-draft]');
+        this.nav = this.form.querySelector('.form__nav');
+        this.backButton = this.form.querySelector('[data-wizard-back]');
+        this.nextButton = this.form.querySelector('[data-wizard-next]');
+
+        // The steps' fields only count once they're enabled
+        this.steps.forEach(step => {
+            step.disabled = false;
+        });
+        this.form.classList.add('contact__form--wizard');
+
+        super.init({
+            ...options,
+            schema: { ...CONFIG.contact.schema, ...this.wizardOptions.schema, ...options.schema }
+        });
+
+        this.renderProgress();
+        this.showStep(this.restoreDraft(), { focus: false });
+    }
+
+    bindEvents() {
+        super.bindEvents();
+
+        this.handleBack = guarded(() => this.back());
+        this.handleNext = guarded(() => this.next());
+        this.handleDiscard = guarded(() => {
+            this.resetForm();
+            this.focusStep();
+        });
+
+        this.saveDraftSoon = debounce(() => this.saveDraft(), this.wizardOptions.autosaveDelay);
+        this.handleChange = guarded(() => this.saveDraftSoon());
+
+        // Don't lose the last few keystrokes to the debounce
+        this.handlePageHide = guarded(() => this.saveDraft());
+
+        // Step names in the progress list come from the (translated) legends
+        this.handleStepLocaleChange = guarded(() => {
+            this.renderProgress();
+            this.updateProgress();
+        });
+
+        if (this.backButton) this.backButton.addEventListener('click', this.handleBack);
+        if (this.nextButton) this.nextButton.addEventListener('click', this.handleNext);
+        if (this.draftNotice) {
+            this.draftNotice.querySelector('[data-wizard-discard]').addEventListener('click', this.handleDiscard);
+        }
+        this.form.addEventListener('input', this.handleChange);
+        this.form.addEventListener('change', this.handleChange);
+        window.addEventListener('pagehide', this.handlePageHide);
+        document.addEventListener('i18n:change', this.handleStepLocaleChange);
+    }
+
+    // ==========================================================================
+    // STEPS
+    // ==========================================================================
+
+    get isLastStep() {
+        return this.current === this.steps.length - 1;
+    }
+
+    /**
+     * Names of the validated fields in a step
+     */
+    getStepFields(index) {
+        const names = Array.from(this.steps[index].elements)
+            .map(field => field.name)
+            .filter(name => name && this.validator.schema[name]);
+        return [...new Set(names)];
+    }
+
+    async validateStep(index) {
+        const fields = this.getStepFields(index);
+        const isValid = await this.validator.validate(fields);
+
+        if (!isValid) {
+            fields.filter(field => this.validator.errors[field]).forEach(field => {
+                this.bus.emit('form_error', { form: 'contact', field });
+            });
+        }
+        return isValid;
+    }
+
+    async next() {
+        if (this.isLastStep || this.isSubmitting) return;
+
+        if (await this.validateStep(this.current)) {
+            this.showStep(this.current + 1);
+        }
+    }
+
+    back() {
+        if (this.current > 0) this.showStep(this.current - 1);
+    }
+
+    /**
+     * @param {number} index
+     * @param {Object} [options] - { focus: move focus into the step (default) }
+     */
+    showStep(index, { focus = true } = {}) {
+        const previous = this.current;
+        this.current = Math.max(0, Math.min(index, this.steps.length - 1));
+
+        this.steps.forEach((step, stepIndex) => {
+            step.hidden = stepIndex !== this.current;
+        });
+
+        if (this.nav) this.nav.hidden = false;
+        if (this.backButton) this.backButton.hidden = this.current === 0;
+        if (this.nextButton) this.nextButton.hidden = this.isLastStep;
+        if (this.submitButton) this.submitButton.hidden = !this.isLastStep;
+
+        this.updateProgress();
+
+        if (focus) this.focusStep();
+        if (this.current !== previous) {
+            this.saveDraft();
+            this.bus.emit('form_step', {
+                form: 'contact',
+                step: this.steps[this.current].dataset.step,
+                index: this.current
+            });
+        }
+    }
+
+    focusStep() {
+        const step = this.steps[this.current];
+        const field = step.querySelector('input:checked, input, select, textarea');
+        if (field) field.focus();
+    }
+
+    getStepTitle(index) {
+        const legend = this.steps[index].querySelector('legend');
+        return legend ? legend.textContent.trim() : this.steps[index].dataset.step;
+    }
+
+    renderProgress() {
+        if (!this.progress) return;
+
+        this.progress.replaceChildren(...this.steps.map((step, index) => {
+            const item = document.createElement('li');
+            item.className = 'form__progress-step';
+            item.textContent = this.getStepTitle(index);
+            return item;
+        }));
+        this.progress.hidden = false;
+    }
+
+    updateProgress() {
+        if (this.progress) {
+            Array.from(this.progress.children).forEach((item, index) => {
+                item.classList.toggle('form__progress-step--done', index < this.current);
+                if (index === this.current) {
+                    item.setAttribute('aria-current', 'step');
+                } else {
+                    item.removeAttribute('aria-current');
+                }
+            });
+        }
+
+        if (this.status) {
+            this.status.textContent = this.i18n.t('contact.wizard.status', {
+                current: this.current + 1,
+                total: this.steps.length,
+                title: this.getStepTitle(this.current)
+            }, 'Step {current} of {total}: {title}');
+        }
+    }
+
+    // ==========================================================================
+    // SUBMITTING
+    // ==========================================================================
+
+    /**
+     * Enter moves on a step; on the last one every step is checked again,
+     * going back to the first with a problem, before ContactForm sends
+     */
+    async handleSubmit() {
+        if (this.isSubmitting) return;
+
+        try {
+            if (!this.isLastStep) {
+                await this.next();
+                return;
+            }
+
+            for (let index = 0; index < this.steps.length - 1; index++) {
+                if (!(await this.validateStep(index))) {
+                    this.showStep(index, { focus: false });
+                    // Focus the invalid field again now that it's visible
+                    await this.validateStep(index);
+                    return;
+                }
+            }
+        } catch (error) {
+            console.error('Contact form step check failed:', error);
+            this.showFailed(error);
+            return;
+        }
+
+        await super.handleSubmit();
+    }
+
+    resetForm() {
+        super.resetForm();
+        this.clearDraft();
+        this.showStep(0, { focus: false });
+    }
+
+    // ==========================================================================
+    // DRAFTS
+    // ==========================================================================
+
+    saveDraft() {
+        if (!this.validator) return;
+
+        const values = this.validator.getValues();
+        delete values[this.options.spam.honeypotName];
+
+        // Nothing typed yet (or the form was just reset)
+        if (!Object.values(values).some(value => value !== '')) {
+            this.clearDraft();
+            return;
+        }
+
+        try {
+            localStorage.setItem(this.wizardOptions.draftKey, JSON.stringify({
+                values,
+                step: this.current,
+                savedAt: Date.now()
+            }));
+        } catch (error) {
+            // Storage full or disabled: the answers just won't survive a reload
+        }
+    }
+
+    /**
+     * Put a saved draft back into the form
+     *
+     * @returns {number} The step to show
+     */
+    restoreDraft() {
+        let draft = null;
+        try {
+            draft = JSON.parse(localStorage.getItem(this.wizardOptions.draftKey));
+        } catch (error) {
+            // Storage blocked or draft unreadable: start afresh
+        }
+
+        if (!draft || !draft.values || Date.now() - draft.savedAt > this.wizardOptions.draftMaxAge) {
+            this.clearDraft();
+            return 0;
+        }
+
+        Object.entries(draft.values).forEach(([name, value]) => {
+            const field = this.form.elements.namedItem(name);
+            // A RadioNodeList checks the radio with this value
+            if (field && typeof value === 'string') field.value = value;
+        });
+
+        // The answers took their time on the visit that saved them
+        if (this.spamGuard) this.spamGuard.waiveMinTime();
+
+        if (this.draftNotice) this.draftNotice.hidden = false;
+        return Number(draft.step) || 0;
+    }
+
+    clearDraft() {
+        if (this.draftNotice) this.draftNotice.hidden = true;
+
+        try {
+            localStorage.removeItem(this.wizardOptions.draftKey);
+        } catch (error) {
+            // Nothing to clear
+        }
+    }
+
+    destroy() {
+        if (this.form && this.steps) {
+            this.saveDraft();
+
+            if (this.backButton) this.backButton.removeEventListener('click', this.handleBack);
+            if (this.nextButton) this.nextButton.removeEventListener('click', this.handleNext);
+            if (this.draftNotice) {
+                this.draftNotice.querySelector('[data-wizard-discard]').removeEventListener('click', this.handleDiscard);
+            }
+            this.form.removeEventListener('input', this.handleChange);
+            this.form.removeEventListener('change', this.handleChange);
+            window.removeEventListener('pagehide', this.handlePageHide);
+            document.removeEventListener('i18n:change', this.handleStepLocaleChange);
+        }
+
+        super.destroy();
+    }
+}
@@ -0,0 +1,554 @@
+/**
+ * CATALYST - ENTERPRISE INTELLIGENCE SOLUTIONS
+ * Meeting Scheduler
+ *
+ * "Book a call" beside the contact form. It shows a month calendar of the
+ * days with open times, then the day's time slots. Times come from an
+ * availability provider (see services/availability.js) and are shown in
+ * the visitor's time zone, which they can change.
+ *
+ * The calendar follows the date grid pattern. One day at a time is
+ * focusable. The arrow keys move by day and week, Home and End go to the
+ * ends of the week, and Page Up and Page Down change the month. Days
+ * without open times can be focused but not picked.
+ *
+ * Confirming a slot downloads an .ics invite (see
+ * services/calendar-invite.js) and adds the chosen time to the contact
+ * form's message, where the team confirms it. Nothing is booked until the
+ * form is sent.
+ *
+ * Without scripts, or with CONFIG.scheduler.enabled off, the block stays
+ * hidden.
+ */
+
+import { CONFIG } from '../config.js';
+import { getI18n } from '../services/i18n.js';
+import { getEventBus } from '../services/event-bus.js';
+import {
+    createAvailabilityProvider,
+    toDateKey,
+    dateKeyToDate,
+    addDays
+} from '../services/availability.js';
+import { createCalendarInvite, downloadCalendarInvite } from '../services/calendar-invite.js';
+import { guarded } from '../services/component-registry.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Grid keys → days to move (Home and End depend on the day's column)
+const DAY_KEYS = {
+    ArrowRight: 1,
+    ArrowLeft: -1,
+    ArrowDown: 7,
+    ArrowUp: -7
+};
+
+/**
+ * The same day of the month `months` away, or the month's last day
+ */
+function addMonths(dateKey, months) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    const target = new Date(Date.UTC(year, month - 1 + months, 1, 12));
+    const length = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+    target.setUTCDate(Math.min(day, length));
+    return target.toISOString().slice(0, 10);
+}
+
+export class MeetingScheduler {
+    /**
+     * @param {Object} [options] - Overrides for CONFIG.scheduler
+     */
+    constructor(options = {}) {
+        this.root = document.getElementById('meeting-scheduler');
+        this.overrides = options;
+        this.options = { ...CONFIG.scheduler, ...options };
+
+        // Slots as loaded, and by day in the shown time zone
+        this.slots = [];
+        this.days = new Map();
+
+        // { from, to } of the last load; firstDate and lastDate are its
+        // ends as date keys ("2026-10-20") in the shown time zone
+        this.range = null;
+        this.firstDate = null;
+        this.lastDate = null;
+        this.month = null;
+        this.focusedDay = null;
+        this.selectedDay = null;
+        this.selectedSlot = null;
+
+        // The line last written into the contact form's message
+        this.messageLine = null;
+        this.request = 0;
+
+        this.init();
+    }
+
+    init() {
+        if (!this.root || !this.options.enabled) return;
+
+        this.i18n = getI18n();
+        this.bus = getEventBus();
+
+        this.zoneSelect = this.root.querySelector('[data-scheduler-zone]');
+        this.monthTitle = this.root.querySelector('[data-scheduler-month]');
+        this.prevButton = this.root.querySelector('[data-scheduler-prev]');
+        this.nextButton = this.root.querySelector('[data-scheduler-next]');
+        this.grid = this.root.querySelector('[data-scheduler-grid]');
+        this.slotsTitle = this.root.querySelector('[data-scheduler-slots-title]');
+        this.slotList = this.root.querySelector('[data-scheduler-slots]');
+        this.confirmButton = this.root.querySelector('[data-scheduler-confirm]');
+        this.status = this.root.querySelector('[data-scheduler-status]');
+
+        this.timeZone = this.getVisitorTimeZone();
+        this.renderTimeZones();
+        this.bindEvents();
+
+        this.root.hidden = false;
+        this.load();
+    }
+
+    bindEvents() {
+        // The month and time zone controls stay disabled until slots have
+        // loaded; until then there is no calendar to move through
+        this.handlePrev = guarded(() => {
+            if (this.range) this.showMonth(addMonths(this.focusedDay, -1));
+        });
+        this.handleNext = guarded(() => {
+            if (this.range) this.showMonth(addMonths(this.focusedDay, 1));
+        });
+
+        this.handleGridClick = guarded((e) => {
+            const button = e.target.closest('[data-date]');
+            if (button) this.selectDay(button.dataset.date);
+        });
+
+        this.handleGridKeydown = guarded((e) => this.handleKeydown(e));
+
+        this.handleSlotClick = guarded((e) => {
+            const button = e.target.closest('[data-slot-index]');
+            if (button) this.selectSlot(this.days.get(this.selectedDay)[Number(button.dataset.slotIndex)]);
+        });
+
+        this.handleZoneChange = guarded(() => {
+            this.timeZone = this.zoneSelect.value;
+            this.groupSlots();
+            if (this.range) this.render();
+        });
+
+        this.handleConfirm = guarded(() => this.confirm());
+
+        // Month, weekday and time names are written out in the page's language
+        this.handleLocaleChange = guarded(() => {
+            this.renderTimeZones();
+            if (this.range) this.render();
+        });
+
+        this.handleConfigChange = guarded((e) => {
+            if (!e.detail.sections.includes('scheduler')) return;
+
+            this.options = { ...CONFIG.scheduler, ...this.overrides };
+            this.root.hidden = !this.options.enabled;
+            if (this.options.enabled) this.load();
+        });
+
+        this.prevButton.addEventListener('click', this.handlePrev);
+        this.nextButton.addEventListener('click', this.handleNext);
+        this.grid.addEventListener('click', this.handleGridClick);
+        this.grid.addEventListener('keydown', this.handleGridKeydown);
+        this.slotList.addEventListener('click', this.handleSlotClick);
+        this.zoneSelect.addEventListener('change', this.handleZoneChange);
+        this.confirmButton.addEventListener('click', this.handleConfirm);
+        document.addEventListener('i18n:change', this.handleLocaleChange);
+        document.addEventListener('config:change', this.handleConfigChange);
+    }
+
+    t(key, params, fallback) {
+        return this.i18n.t(`scheduler.${key}`, params, fallback);
+    }
+
+    getLocale() {
+        return this.i18n.locale || document.documentElement.lang || undefined;
+    }
+
+    getVisitorTimeZone() {
+        try {
+            return Intl.DateTimeFormat().resolvedOptions().timeZone || this.options.timeZone;
+        } catch (error) {
+            return this.options.timeZone;
+        }
+    }
+
+    /**
+     * Day the locale starts its week on, 0 for Sunday
+     */
+    getFirstDay() {
+        try {
+            const locale = new Intl.Locale(this.getLocale() || 'en');
+            const info = typeof locale.getWeekInfo === 'function' ? locale.getWeekInfo() : locale.weekInfo;
+            if (info) return info.firstDay % 7;
+        } catch (error) {
+            // No week info in this browser
+        }
+        return 1;
+    }
+
+    // ==========================================================================
+    // LOADING
+    // ==========================================================================
+
+    async load() {
+        const request = ++this.request;
+        const from = new Date();
+        const to = new Date(from.getTime() + this.options.daysAhead * DAY);
+
+        this.root.setAttribute('aria-busy', 'true');
+        this.setStatus(this.t('loading', {}, 'Loading available times…'));
+
+        let slots;
+        try {
+            const provider = createAvailabilityProvider(this.options);
+            slots = await provider.getSlots({ from, to });
+        } catch (error) {
+            if (request !== this.request) return;
+            console.warn('Meeting scheduler: could not load the open times:', error.message);
+            this.root.removeAttribute('aria-busy');
+            this.setStatus(this.t('error', {}, 'We couldn\'t load the available times. Send us a message instead.'));
+            return;
+        }
+
+        // A newer load (or destroy()) got there first
+        if (request !== this.request) return;
+
+        this.slots = (Array.isArray(slots) ? slots : [])
+            .map(slot => ({ start: new Date(slot.start), end: new Date(slot.end) }))
+            .filter(slot => slot.start < slot.end && slot.start >= from)
+            .sort((a, b) => a.start - b.start);
+        this.range = { from, to };
+        this.zoneSelect.disabled = false;
+
+        this.root.removeAttribute('aria-busy');
+        this.setStatus(this.slots.length
+            ? ''
+            : this.t('none', {}, 'There are no open times in the coming weeks. Send us a message instead.'));
+
+        this.selectedDay = null;
+        this.selectedSlot = null;
+        this.focusedDay = null;
+        this.groupSlots();
+        this.render();
+    }
+
+    /**
+     * Sort the slots into days of the shown time zone
+     */
+    groupSlots() {
+        this.days = new Map();
+        this.slots.forEach(slot => {
+            const day = toDateKey(slot.start, this.timeZone);
+            if (!this.days.has(day)) this.days.set(day, []);
+            this.days.get(day).push(slot);
+        });
+
+        if (!this.range) return;
+
+        this.firstDate = toDateKey(this.range.from, this.timeZone);
+        this.lastDate = toDateKey(this.range.to, this.timeZone);
+
+        // The chosen time stays chosen, maybe on another day
+        this.selectedDay = this.selectedSlot ? toDateKey(this.selectedSlot.start, this.timeZone) : null;
+        this.focusedDay = this.selectedDay || this.days.keys().next().value || this.firstDate;
+        this.month = this.focusedDay.slice(0, 7);
+    }
+
+    // ==========================================================================
+    // CALENDAR
+    // ==========================================================================
+
+    render() {
+        this.renderMonth();
+        this.renderSlots();
+    }
+
+    renderTimeZones() {
+        const zones = new Set([this.timeZone, this.options.timeZone]);
+        if (typeof Intl.supportedValuesOf === 'function') {
+            Intl.supportedValuesOf('timeZone').forEach(zone => zones.add(zone));
+        }
+
+        const options = Array.from(zones).sort().map(zone => {
+            const option = document.createElement('option');
+            option.value = zone;
+            option.textContent = this.getTimeZoneLabel(zone);
+            return option;
+        });
+
+        this.zoneSelect.replaceChildren(...options);
+        this.zoneSelect.value = this.timeZone;
+    }
+
+    /**
+     * "Europe/Madrid (GMT+2)" in the page's language
+     */
+    getTimeZoneLabel(zone) {
+        const name = zone.replace(/_/g, ' ');
+        try {
+            const offset = new Intl.DateTimeFormat(this.getLocale(), { timeZone: zone, timeZoneName: 'shortOffset' })
+                .formatToParts(new Date())
+                .find(part => part.type === 'timeZoneName');
+            return offset ? `${name} (${offset.value})` : name;
+        } catch (error) {
+            return name;
+        }
+    }
+
+    formatDay(dateKey, options) {
+        return new Intl.DateTimeFormat(this.getLocale(), { ...options, timeZone: 'UTC' }).format(dateKeyToDate(dateKey));
+    }
+
+    formatTime(date) {
+        return new Intl.DateTimeFormat(this.getLocale(), {
+            hour: 'numeric',
+            minute: '2-digit',
+            timeZone: this.timeZone
+        }).format(date);
+    }
+
+    renderMonth() {
+        const first = `${this.month}-01`;
+        const today = toDateKey(new Date(), this.timeZone);
+        const firstDay = this.getFirstDay();
+
+        this.monthTitle.textContent = this.formatDay(first, { month: 'long', year: 'numeric' });
+        this.prevButton.disabled = first <= this.firstDate;
+        this.nextButton.disabled = addMonths(first, 1) > this.lastDate;
+
+        // Weekday headings, starting on the locale's first day of the week
+        const start = addDays(first, -((dateKeyToDate(first).getUTCDay() - firstDay + 7) % 7));
+        const head = document.createElement('tr');
+        for (let column = 0; column < 7; column++) {
+            const day = addDays(start, column);
+            const heading = document.createElement('th');
+            heading.scope = 'col';
+            heading.abbr = this.formatDay(day, { weekday: 'long' });
+            heading.textContent = this.formatDay(day, { weekday: 'short' });
+            head.appendChild(heading);
+        }
+
+        const rows = [];
+        for (let day = start; day.slice(0, 7) <= this.month; ) {
+            const row = document.createElement('tr');
+            for (let column = 0; column < 7; column++, day = addDays(day, 1)) {
+                row.appendChild(this.renderDay(day, today));
+            }
+            rows.push(row);
+        }
+
+        const thead = document.createElement('thead');
+        const tbody = document.createElement('tbody');
+        thead.appendChild(head);
+        tbody.append(...rows);
+        this.grid.replaceChildren(thead, tbody);
+    }
+
+    renderDay(day, today) {
+        const cell = document.createElement('td');
+
+        // Other months' days are left blank
+        if (day.slice(0, 7) !== this.month) return cell;
+
+        const button = document.createElement('button');
+        const isAvailable = this.days.has(day);
+
+        button.type = 'button';
+        button.className = 'scheduler__day';
+        button.dataset.date = day;
+        button.tabIndex = day === this.focusedDay ? 0 : -1;
+        button.textContent = this.formatDay(day, { day: 'numeric' });
+        button.setAttribute('aria-label', this.formatDay(day, { weekday: 'long', month: 'long', day: 'numeric' }));
+
+        if (!isAvailable) {
+            button.classList.add('scheduler__day--unavailable');
+            button.setAttribute('aria-disabled', 'true');
+        }
+        if (day === today) button.setAttribute('aria-current', 'date');
+
+        cell.setAttribute('aria-selected', String(day === this.selectedDay));
+        cell.appendChild(button);
+        return cell;
+    }
+
+    /**
+     * Show the month of `day`, keeping within the days on offer
+     */
+    showMonth(day, { focus = false } = {}) {
+        const clamped = day < this.firstDate ? this.firstDate : (day > this.lastDate ? this.lastDate : day);
+
+        this.focusedDay = clamped;
+        if (clamped.slice(0, 7) !== this.month) {
+            this.month = clamped.slice(0, 7);
+            this.renderMonth();
+        } else {
+            this.grid.querySelectorAll('[data-date]').forEach(button => {
+                button.tabIndex = button.dataset.date === clamped ? 0 : -1;
+            });
+        }
+
+        if (focus) {
+            const button = this.grid.querySelector(`[data-date="${clamped}"]`);
+            if (button) button.focus();
+        }
+    }
+
+    handleKeydown(e) {
+        const current = e.target.closest('[data-date]');
+        if (!current) return;
+
+        const day = current.dataset.date;
+        const column = (dateKeyToDate(day).getUTCDay() - this.getFirstDay() + 7) % 7;
+        let target = null;
+
+        if (e.key in DAY_KEYS) {
+            // Left and right swap over in right-to-left layouts
+            const flip = document.documentElement.dir === 'rtl' && Math.abs(DAY_KEYS[e.key]) === 1 ? -1 : 1;
+            target = addDays(day, DAY_KEYS[e.key] * flip);
+        } else if (e.key === 'Home') {
+            target = addDays(day, -column);
+        } else if (e.key === 'End') {
+            target = addDays(day, 6 - column);
+        } else if (e.key === 'PageUp' || e.key === 'PageDown') {
+            target = addMonths(day, e.key === 'PageUp' ? -1 : 1);
+        }
+
+        if (target) {
+            e.preventDefault();
+            this.showMonth(target, { focus: true });
+        }
+    }
+
+    selectDay(day) {
+        if (!this.days.has(day)) return;
+
+        this.selectedDay = day;
+        this.selectedSlot = null;
+        this.focusedDay = day;
+
+        this.grid.querySelectorAll('[data-date]').forEach(button => {
+            button.parentElement.setAttribute('aria-selected', String(button.dataset.date === day));
+            button.tabIndex = button.dataset.date === day ? 0 : -1;
+        });
+        this.renderSlots();
+    }
+
+    // ==========================================================================
+    // TIME SLOTS
+    // ==========================================================================
+
+    renderSlots() {
+        const slots = this.days.get(this.selectedDay) || [];
+
+        this.slotsTitle.textContent = this.selectedDay
+            ? this.t('slotsFor', {
+                date: this.formatDay(this.selectedDay, { weekday: 'long', month: 'long', day: 'numeric' })
+            }, 'Times on {date}')
+            : this.t('pickDay', {}, 'Choose a day to see its times.');
+
+        this.slotList.replaceChildren(...slots.map((slot, index) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'scheduler__slot';
+            button.dataset.slotIndex = index;
+            button.textContent = this.formatTime(slot.start);
+            button.setAttribute('aria-pressed', String(slot === this.selectedSlot));
+            return button;
+        }));
+
+        this.confirmButton.disabled = !this.selectedSlot;
+    }
+
+    selectSlot(slot) {
+        if (!slot) return;
+
+        this.selectedSlot = slot;
+        this.slotList.querySelectorAll('[data-slot-index]').forEach(button => {
+            const isSelected = this.days.get(this.selectedDay)[Number(button.dataset.slotIndex)] === slot;
+            button.setAttribute('aria-pressed', String(isSelected));
+        });
+        this.confirmButton.disabled = false;
+    }
+
+    // ==========================================================================
+    // BOOKING
+    // ==========================================================================
+
+    confirm() {
+        const slot = this.selectedSlot;
+        if (!slot) return;
+
+        const params = {
+            date: this.formatDay(this.selectedDay, { weekday: 'long', month: 'long', day: 'numeric' }),
+            time: this.formatTime(slot.start),
+            timeZone: this.timeZone.replace(/_/g, ' ')
+        };
+
+        const invite = createCalendarInvite({
+            uid: `${slot.start.getTime()}-${Math.random().toString(36).slice(2, 10)}@${location.hostname || 'catalyst'}`,
+            start: slot.start,
+            end: slot.end,
+            summary: this.t('summary', {}, 'Call with Catalyst'),
+            description: this.t('description', {}, 'Introductory call with the Catalyst team. We\'ll confirm the time by email.'),
+            location: this.options.location,
+            url: location.href.split('#')[0],
+            organizer: { name: 'Catalyst', email: CONFIG.contact.mailto }
+        });
+        downloadCalendarInvite(invite, this.options.filename);
+
+        this.fillMessage(this.t('message', params, 'I\'d like to book a call on {date} at {time} ({timeZone}).'));
+        this.setStatus(this.t('confirmed', params, 'Your invite for {date} at {time} is downloading. We\'ve added the time to your message; send it and we\'ll confirm.'));
+
+        this.bus.emit('meeting_book', { duration: Math.round((slot.end - slot.start) / 60000) });
+    }
+
+    /**
+     * Add the chosen time to the contact form's message, replacing one
+     * added earlier
+     */
+    fillMessage(line) {
+        const field = document.getElementById('message');
+        if (!field) return;
+
+        const text = field.value;
+        field.value = this.messageLine && text.includes(this.messageLine)
+            ? text.replace(this.messageLine, line)
+            : [text.trim(), line].filter(Boolean).join('\n\n');
+        this.messageLine = line;
+
+        // Lets the form re-check the field and the wizard save its draft
+        field.dispatchEvent(new Event('input', { bubbles: true }));
+    }
+
+    setStatus(text) {
+        if (this.status) this.status.textContent = text;
+    }
+
+    destroy() {
+        if (!this.root || !this.grid || !this.i18n) return;
+
+        // Drop any load still on its way
+        this.request++;
+
+        this.prevButton.removeEventListener('click', this.handlePrev);
+        this.nextButton.removeEventListener('click', this.handleNext);
+        this.grid.removeEventListener('click', this.handleGridClick);
+        this.grid.removeEventListener('keydown', this.handleGridKeydown);
+        this.slotList.removeEventListener('click', this.handleSlotClick);
+        this.zoneSelect.removeEventListener('change', this.handleZoneChange);
+        this.confirmButton.removeEventListener('click', this.handleConfirm);
+        document.removeEventListener('i18n:change', this.handleLocaleChange);
+        document.removeEventListener('config:change', this.handleConfigChange);
+
+        this.grid.replaceChildren();
+        this.slotList.replaceChildren();
+        this.root.hidden = true;
+    }
+}
@@ -0,0 +1,219 @@
+/**
+ * CATALYST - ENTERPRISE INTELLIGENCE SOLUTIONS
+ * Mobile Navigation
+ *
+ * The open mobile menu is modal: everything outside the menu and its
+ * toggle (bar live regions) is made inert, Tab cycles between them, and
+ * focus returns to the toggle when the menu is dismissed. Arrow keys, Home
+ * and End move between the links, as the menubar role promises.
+ */
+
+import { CONFIG } from '../config.js';
+import { debounce } from '../utils.js';
+import { guarded } from '../services/component-registry.js';
+
+const supportsInert = typeof HTMLElement !== 'undefined' && 'inert' in HTMLElement.prototype;
+
+export class MobileNavigation {
+    constructor() {
+        this.toggle = document.querySelector('.nav__toggle');
+        this.menu = document.querySelector('.nav__menu');
+        this.links = document.querySelectorAll('.nav__link');
+        this.isOpen = false;
+        this.inertElements = [];
+
+        this.init();
+    }
+
+    init() {
+        if (!this.toggle || !this.menu) return;
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        this.handleToggleClick = guarded((e) => {
+            e.preventDefault();
+            this.toggleMenu();
+        });
+
+        // Following a link hands focus to the target section instead
+        this.handleLinkClick = guarded(() => {
+            if (this.isOpen) {
+                this.closeMenu({ returnFocus: false });
+            }
+        });
+
+        this.handleDocumentClick = guarded((e) => {
+            if (this.isOpen && !this.menu.contains(e.target) && !this.toggle.contains(e.target)) {
+                this.closeMenu({ returnFocus: false });
+            }
+        });
+
+        this.handleKeydown = guarded((e) => {
+            if (!this.isOpen) return;
+
+            if (e.key === 'Escape') {
+                this.closeMenu();
+            } else if (e.key === 'Tab') {
+                this.trapFocus(e);
+            }
+        });
+
+        this.handleMenuKeydown = guarded((e) => this.handleArrowKeys(e));
+
+        this.handleResize = guarded(debounce(() => {
+            if (window.innerWidth > CONFIG.breakpoints.mobile && this.isOpen) {
+                this.closeMenu({ returnFocus: false });
+            }
+        }, 250));
+
+        this.toggle.addEventListener('click', this.handleToggleClick);
+        this.links.forEach(link => link.addEventListener('click', this.handleLinkClick));
+        this.menu.addEventListener('keydown', this.handleMenuKeydown);
+        document.addEventListener('click', this.handleDocumentClick);
+        document.addEventListener('keydown', this.handleKeydown);
+        window.addEventListener('resize', this.handleResize);
+    }
+
+    toggleMenu() {
+        if (this.isOpen) {
+            this.closeMenu();
+        } else {
+            this.openMenu();
+        }
+    }
+
+    openMenu() {
+        this.isOpen = true;
+        this.menu.classList.add('active');
+        this.toggle.setAttribute('aria-expanded', 'true');
+        document.body.style.overflow = 'hidden';
+
+        this.setPageInert(true);
+
+        if (this.links.length) {
+            this.links[0].focus();
+        }
+    }
+
+    /**
+     * @param {Object} [options]
+     * @param {boolean} [options.returnFocus=true] - Focus the toggle again
+     */
+    closeMenu({ returnFocus = true } = {}) {
+        this.isOpen = false;
+        this.menu.classList.remove('active');
+        this.toggle.setAttribute('aria-expanded', 'false');
+        document.body.style.overflow = '';
+
+        this.setPageInert(false);
+
+        if (returnFocus) {
+            this.toggle.focus();
+        }
+    }
+
+    // ==========================================================================
+    // MODAL BEHAVIOUR
+    // ==========================================================================
+
+    /**
+     * Make every element beside the path from <body> to the menu inert,
+     * except the toggle, which has to stay usable to close the menu
+     */
+    setPageInert(inert) {
+        if (!inert) {
+            this.inertElements.forEach(({ element, hidden }) => {
+                element.inert = false;
+                if (hidden) element.removeAttribute('aria-hidden');
+            });
+            this.inertElements = [];
+            return;
+        }
+
+        let node = this.menu;
+        while (node && node !== document.body) {
+            const parent = node.parentElement;
+            if (!parent) break;
+
+            Array.from(parent.children).forEach(sibling => {
+                if (sibling === node || sibling.contains(this.toggle) || sibling.inert) return;
+                // Live regions have to keep announcing while the menu is open
+                if (sibling.matches('script, style, template, [aria-live], [role="alert"], [role="status"]')) return;
+
+                sibling.inert = true;
+
+                // Without inert support, at least hide it from assistive tech
+                const hidden = !supportsInert && sibling.getAttribute('aria-hidden') !== 'true';
+                if (hidden) sibling.setAttribute('aria-hidden', 'true');
+
+                this.inertElements.push({ element: sibling, hidden });
+            });
+
+            node = parent;
+        }
+    }
+
+    getFocusableItems() {
+        return [this.toggle, ...this.links];
+    }
+
+    trapFocus(e) {
+        const items = this.getFocusableItems();
+        const first = items[0];
+        const last = items[items.length - 1];
+        const index = items.indexOf(document.activeElement);
+
+        if (e.shiftKey && (document.activeElement === first || index === -1)) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && (document.activeElement === last || index === -1)) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+
+    handleArrowKeys(e) {
+        const links = Array.from(this.links);
+        const index = links.indexOf(document.activeElement);
+        if (index === -1) return;
+
+        let next;
+        switch (e.key) {
+            case 'ArrowDown':
+            case 'ArrowRight':
+                next = links[(index + 1) % links.length];
+                break;
+            case 'ArrowUp':
+            case 'ArrowLeft':
+                next = links[(index - 1 + links.length) % links.length];
+                break;
+            case 'Home':
+                next = links[0];
+                break;
+            case 'End':
+                next = links[links.length - 1];
+                break;
+            default:
+                return;
+        }
+
+        e.preventDefault();
+        next.focus();
+    }
+
+    destroy() {
+        if (!this.toggle || !this.menu) return;
+
+        if (this.isOpen) {
+            this.closeMenu({ returnFocus: false });
+        }
+
+        this.toggle.removeEventListener('click', this.handleToggleClick);
+        this.links.forEach(link => link.removeEventListener('click', this.handleLinkClick));
+        this.menu.removeEventListener('keydown', this.handleMenuKeydown);
+        document.removeEventListener('click', this.handleDocumentClick);
+        document.removeEventListener('keydown', this.handleKeydown);
+        window.removeEventListener('resize', this.handleResize);
+    }
+}
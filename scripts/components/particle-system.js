@@ -0,0 +1,181 @@
+/**
+ * CATALYST - ENTERPRISE INTELLIGENCE SOLUTIONS
+ * Particle System
+ *
+ * Drawn by the shared canvas renderer (see effects/canvas-renderer.js);
+ * the mount element only defines the area the particles move in. The
+ * field pauses while the mount is scrolled out of view, takes its
+ * colour from the theme's --effect-primary token, and thins out on slower
+ * devices (see services/performance-governor.js).
+ */
+
+import { CONFIG } from '../config.js';
+import { throttle, prefersReducedMotion, getCssVariable } from '../utils.js';
+import { getRenderer } from '../effects/canvas-renderer.js';
+import { getPerformanceGovernor } from '../services/performance-governor.js';
+import { guarded } from '../services/component-registry.js';
+
+export class ParticleSystem {
+    /**
+     * @param {Object} [options] - Overrides for CONFIG.particles; `mount`
+     *   may be a selector or an element
+     */
+    constructor(options = {}) {
+        this.overrides = options;
+        this.options = { ...CONFIG.particles, ...options };
+        this.container = this.resolveMount(this.options.mount);
+        this.renderer = null;
+        this.layer = null;
+        this.observer = null;
+        this.mouse = { x: 0, y: 0 };
+        this.isPaused = false;
+
+        if (!this.container) {
+            console.warn('ParticleSystem: mount element not found:', this.options.mount);
+            return;
+        }
+        if (prefersReducedMotion()) return;
+
+        this.renderer = getRenderer();
+        if (!this.renderer) return;
+
+        this.init();
+    }
+
+    resolveMount(mount) {
+        if (typeof mount === 'string') {
+            return document.querySelector(mount);
+        }
+        return mount || null;
+    }
+
+    init() {
+        this.createParticles();
+        this.bindEvents();
+        this.observeVisibility();
+        this.animate();
+    }
+
+    createParticles() {
+        const { mount, ...layerOptions } = this.options;
+
+        this.layer = this.renderer.addLayer('particle-field', {
+            ...layerOptions,
+            ...this.getFieldSettings(),
+            color: this.getColor(),
+            order: 1
+        });
+        this.layer.track(this.container, 'bounds');
+    }
+
+    /**
+     * Count, speed and sizes, with the count scaled to the performance tier
+     */
+    getFieldSettings() {
+        const { count, speed, size } = this.options;
+        const scale = getPerformanceGovernor().getSettings().particles;
+        return { count: Math.round(count * scale), speed, size };
+    }
+
+    getColor() {
+        return getCssVariable('--effect-primary', '#FFD700');
+    }
+
+    bindEvents() {
+        this.handleThemeChange = guarded(() => {
+            if (this.layer) this.layer.post('color', this.getColor());
+        });
+        document.addEventListener('theme:change', this.handleThemeChange);
+
+        // The field is rebuilt with the new count, speed and sizes
+        this.handleConfigChange = guarded((e) => {
+            if (!this.layer || !e.detail.sections.includes('particles')) return;
+
+            this.options = { ...CONFIG.particles, ...this.overrides };
+            this.layer.post('configure', this.getFieldSettings());
+        });
+        this.handlePerformanceChange = guarded(() => {
+            if (this.layer) this.layer.post('configure', this.getFieldSettings());
+        });
+        document.addEventListener('config:change', this.handleConfigChange);
+        document.addEventListener('performance:change', this.handlePerformanceChange);
+
+        this.handleMouseMove = guarded(throttle((e) => {
+            if (this.isPaused || !this.layer) return;
+
+            this.mouse.x = e.clientX;
+            this.mouse.y = e.clientY;
+            this.layer.post('pointer', this.mouse);
+        }, 16));
+
+        document.addEventListener('mousemove', this.handleMouseMove);
+    }
+
+    /**
+     * Stop advancing the field while the mount is off-screen; the renderer
+     * already idles the whole canvas while the tab is hidden
+     */
+    observeVisibility() {
+        if (!('IntersectionObserver' in window)) return;
+
+        this.observer = new IntersectionObserver(guarded((entries) => {
+            const entry = entries[entries.length - 1];
+            if (entry.isIntersecting) {
+                this.resume();
+            } else {
+                this.pause();
+            }
+        }));
+        this.observer.observe(this.container);
+    }
+
+    pause() {
+        if (this.isPaused || !this.layer) return;
+
+        this.isPaused = true;
+        this.layer.post('pause');
+    }
+
+    resume() {
+        if (!this.isPaused || !this.layer) return;
+
+        this.isPaused = false;
+        this.layer.post('resume');
+    }
+
+    /**
+     * Re-measure now, e.g. after a layout change that fired no resize event.
+     * Window resizes are already handled by the renderer.
+     */
+    handleResize() {
+        if (!this.renderer) return;
+        this.renderer.resize();
+    }
+
+    animate() {
+        // The renderer starts the loop itself once a hidden tab is shown
+        if (!this.renderer || document.hidden) return;
+
+        // Frames are driven by the renderer's shared loop
+        this.renderer.send({ type: 'start' });
+    }
+
+    destroy() {
+        if (this.observer) {
+            this.observer.disconnect();
+            this.observer = null;
+        }
+        if (this.handleMouseMove) {
+            document.removeEventListener('mousemove', this.handleMouseMove);
+            document.removeEventListener('theme:change', this.handleThemeChange);
+            document.removeEventListener('config:change', this.handleConfigChange);
+            document.removeEventListener('performance:change', this.handlePerformanceChange);
+            this.handleMouseMove = null;
+        }
+        // Removing the last layer also stops the renderer's frame loop
+        if (this.layer) {
+            this.layer.remove();
+            this.layer = null;
+        }
+    }
+}
@@ -0,0 +1,185 @@
+/**
+ * CATALYST - ENTERPRISE INTELLIGENCE SOLUTIONS
+ * Scroll Animations
+ *
+ * Reveals .fade-in elements as they scroll into view (including ones
+ * rendered later, announced by `content:render`), and reports
+ * engagement to the event bus: `section_view` with the time each
+ * section[id] spent in the middle of the viewport, and `scroll_depth` as
+ * the visitor passes each of CONFIG.analytics.scrollDepths.
+ */
+
+import { CONFIG } from '../config.js';
+import { prefersReducedMotion, getScrollTop } from '../utils.js';
+import { getEventBus } from '../services/event-bus.js';
+import { guarded } from '../services/component-registry.js';
+
+export class ScrollAnimations {
+    constructor() {
+        this.elements = document.querySelectorAll('.fade-in');
+        this.sections = document.querySelectorAll('section[id]');
+        this.observer = null;
+        this.sectionObserver = null;
+        this.bus = getEventBus();
+
+        // Section → when it came into view; sections set aside while the tab is hidden
+        this.viewStarts = new Map();
+        this.hiddenViews = [];
+        this.depthsReached = new Set();
+        this.scrollFrame = null;
+
+        this.init();
+    }
+
+    init() {
+        this.trackSections();
+        this.trackScrollDepth();
+
+        this.handleContentRender = guarded((e) => {
+            e.detail.containers.forEach(container => {
+                this.reveal(container.querySelectorAll('.fade-in'));
+            });
+        });
+        document.addEventListener('content:render', this.handleContentRender);
+
+        if (prefersReducedMotion()) {
+            this.elements.forEach(el => el.classList.add('visible'));
+            return;
+        }
+
+        this.setupIntersectionObserver();
+    }
+
+    /**
+     * Reveal elements added after the page loaded as they come into view
+     */
+    reveal(elements) {
+        if (!this.observer) {
+            elements.forEach(el => el.classList.add('visible'));
+            return;
+        }
+
+        elements.forEach(el => this.observer.observe(el));
+    }
+
+    setupIntersectionObserver() {
+        const options = {
+            root: null,
+            rootMargin: '0px 0px -50px 0px',
+            threshold: 0.1
+        };
+
+        this.observer = new IntersectionObserver(guarded((entries) => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    entry.target.classList.add('visible');
+                    this.observer.unobserve(entry.target);
+                }
+            });
+        }), options);
+
+        this.elements.forEach(el => {
+            this.observer.observe(el);
+        });
+    }
+
+    // ==========================================================================
+    // SECTION DWELL TIME
+    // ==========================================================================
+
+    trackSections() {
+        if (!('IntersectionObserver' in window) || !this.sections.length) return;
+
+        // A section is being read while it crosses the middle fifth of the viewport
+        this.sectionObserver = new IntersectionObserver(guarded((entries) => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    this.viewStarts.set(entry.target, performance.now());
+                } else {
+                    this.endView(entry.target);
+                }
+            });
+        }), {
+            rootMargin: '-40% 0px -40% 0px'
+        });
+
+        this.sections.forEach(section => this.sectionObserver.observe(section));
+
+        // Time in a background tab isn't time spent reading
+        this.handleVisibilityChange = guarded(() => {
+            if (document.visibilityState === 'hidden') {
+                this.hiddenViews = Array.from(this.viewStarts.keys());
+                this.hiddenViews.forEach(section => this.endView(section));
+            } else {
+                this.hiddenViews.forEach(section => this.viewStarts.set(section, performance.now()));
+                this.hiddenViews = [];
+            }
+        });
+        document.addEventListener('visibilitychange', this.handleVisibilityChange);
+    }
+
+    endView(section) {
+        const start = this.viewStarts.get(section);
+        if (start === undefined) return;
+
+        this.viewStarts.delete(section);
+
+        const dwell = Math.round(performance.now() - start);
+        if (dwell >= CONFIG.analytics.minDwell) {
+            this.bus.emit('section_view', { section: section.id, dwell });
+        }
+    }
+
+    // ==========================================================================
+    // SCROLL DEPTH
+    // ==========================================================================
+
+    trackScrollDepth() {
+        // Read the position once per frame rather than on every scroll event
+        this.handleScroll = guarded(() => {
+            if (this.scrollFrame) return;
+            this.scrollFrame = requestAnimationFrame(() => this.checkScrollDepth());
+        });
+
+        window.addEventListener('scroll', this.handleScroll, { passive: true });
+        this.checkScrollDepth();
+    }
+
+    checkScrollDepth() {
+        this.scrollFrame = null;
+
+        const height = document.documentElement.scrollHeight;
+        const seen = height ? ((getScrollTop() + window.innerHeight) / height) * 100 : 100;
+        const depths = CONFIG.analytics.scrollDepths;
+
+        depths.forEach(depth => {
+            if (seen >= depth && !this.depthsReached.has(depth)) {
+                this.depthsReached.add(depth);
+                this.bus.emit('scroll_depth', { percent: depth });
+            }
+        });
+
+        if (this.depthsReached.size === depths.length) {
+            window.removeEventListener('scroll', this.handleScroll);
+        }
+    }
+
+    destroy() {
+        if (this.observer) {
+            this.observer.disconnect();
+        }
+        if (this.sectionObserver) {
+            this.sectionObserver.disconnect();
+            this.sectionObserver = null;
+        }
+        if (this.scrollFrame) {
+            cancelAnimationFrame(this.scrollFrame);
+            this.scrollFrame = null;
+        }
+
+        window.removeEventListener('scroll', this.handleScroll);
+        document.removeEventListener('content:render', this.handleContentRender);
+        document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+        this.viewStarts.clear();
+    }
+}
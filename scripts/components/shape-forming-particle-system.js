@@ -0,0 +1,307 @@
+/**
+ * CATALYST - ENTERPRISE INTELLIGENCE SOLUTIONS
+ * Shape-Forming Particle System
+ *
+ * Particles are drawn by the shared canvas renderer (see
+ * effects/canvas-renderer.js); this class runs the shape cycle and the SVG
+ * outline that is revealed once the particles have gathered.
+ * Targets and outline are both sampled from the same shape description,
+ * so they always agree.
+ *
+ * Every step of the cycle runs on a Timeline (effects/timeline.js), which
+ * also drives the layer's clock and the outline's CSS animations. The
+ * cycle pauses while the hero is hovered, off-screen or in a hidden tab;
+ * pass `timeline: new Timeline({ manual: true })` to step it by hand.
+ * Extra particles and glow follow the performance tier.
+ */
+
+import { CONFIG } from '../config.js';
+import { getCssVariable } from '../utils.js';
+import { getRenderer } from '../effects/canvas-renderer.js';
+import { ShapeLibrary, DEFAULT_SHAPES } from '../effects/shape-library.js';
+import { Timeline } from '../effects/timeline.js';
+import { getPerformanceGovernor } from '../services/performance-governor.js';
+import { guarded } from '../services/component-registry.js';
+
+// Phases of one shape, in timeline milliseconds
+const FORM_DURATION = 4000;
+const HOLD_DURATION = 3000;
+const FADE_DURATION = 2000;
+const SHAPE_GAP = 1000;
+const OUTLINE_DELAY = 300;
+
+export class ShapeFormingParticleSystem {
+    /**
+     * @param {Object} [options]
+     * @param {Array<Object>} [options.shapes] - Replaces the default shape cycle
+     * @param {Timeline} [options.timeline] - Clock for the cycle
+     */
+    constructor(options = {}) {
+        this.container = document.getElementById('particles-container');
+        this.shapeContainer = document.getElementById('shape-formation');
+        this.formedShapeSVG = document.getElementById('formed-shape');
+        this.renderer = getRenderer();
+        this.governor = getPerformanceGovernor();
+        this.layer = null;
+        this.observer = null;
+        this.isAnimating = false;
+
+        this.timeline = options.timeline || new Timeline();
+        this.holds = new Set();
+        
+        // Shapes are described by a path, text or image; see effects/shape-library.js
+        this.library = new ShapeLibrary(options.shapes || DEFAULT_SHAPES);
+        
+        this.currentShapeIndex = 0;
+        this.animationCycle = 0;
+        this.failedShapes = 0;
+
+        if (!this.container || !this.shapeContainer || !this.formedShapeSVG || !this.renderer) return;
+
+        this.init();
+    }
+
+    init() {
+        this.layer = this.renderer.addLayer('shape-particles', {
+            colors: this.getColors(),
+            size: { min: 4, max: 12 },
+            glow: this.governor.getSettings().glow,
+            viewBox: CONFIG.shapes.viewBox,
+            order: 2
+        });
+        this.layer.track(this.shapeContainer, 'box');
+        this.layer.track(this.container, 'bounds');
+
+        this.unsubscribeClock = this.timeline.subscribe(state => this.syncClock(state));
+
+        this.bindEvents();
+        this.startAnimationLoop();
+    }
+
+    /**
+     * Particle colours from the theme tokens
+     */
+    getColors() {
+        return [
+            getCssVariable('--effect-primary', '#FFD700'),
+            getCssVariable('--effect-light', '#FFFFFF'),
+            getCssVariable('--effect-secondary', '#FFB700'),
+            getCssVariable('--effect-highlight', '#FFEB3B')
+        ];
+    }
+
+    bindEvents() {
+        const hero = this.container.closest('section') || this.container;
+
+        this.handleMouseEnter = guarded(() => this.hold('hover'));
+        this.handleMouseLeave = guarded(() => this.release('hover'));
+        this.handleVisibilityChange = guarded(() => {
+            if (document.hidden) {
+                this.hold('hidden');
+            } else {
+                this.release('hidden');
+            }
+        });
+
+        hero.addEventListener('mouseenter', this.handleMouseEnter);
+        hero.addEventListener('mouseleave', this.handleMouseLeave);
+        this.handleThemeChange = guarded(() => this.layer.post('colors', this.getColors()));
+        // Extras follow from the next shape; the glow changes straight away
+        this.handlePerformanceChange = guarded((e) => this.layer.post('glow', e.detail.settings.glow));
+
+        document.addEventListener('visibilitychange', this.handleVisibilityChange);
+        document.addEventListener('theme:change', this.handleThemeChange);
+        document.addEventListener('performance:change', this.handlePerformanceChange);
+        this.hero = hero;
+
+        if ('IntersectionObserver' in window) {
+            this.observer = new IntersectionObserver(guarded((entries) => {
+                if (entries[entries.length - 1].isIntersecting) {
+                    this.release('offscreen');
+                } else {
+                    this.hold('offscreen');
+                }
+            }));
+            this.observer.observe(this.container);
+        }
+    }
+
+    /**
+     * Pause the cycle for `reason`; it resumes once every reason is released
+     */
+    hold(reason) {
+        this.holds.add(reason);
+        this.timeline.pause();
+    }
+
+    release(reason) {
+        this.holds.delete(reason);
+        if (!this.holds.size && this.isAnimating) {
+            this.timeline.play();
+        }
+    }
+
+    pause() {
+        this.hold('manual');
+    }
+
+    resume() {
+        this.release('manual');
+    }
+
+    /**
+     * Keep the particle layer and the outline's SMIL dash animation on
+     * timeline time
+     */
+    syncClock(state) {
+        if (this.layer) this.layer.post('clock', state);
+
+        if (typeof this.formedShapeSVG.pauseAnimations === 'function') {
+            if (state.rate) {
+                this.formedShapeSVG.unpauseAnimations();
+            } else {
+                this.formedShapeSVG.pauseAnimations();
+            }
+        }
+    }
+
+    /**
+     * Hand the CSS animations an element just started over to the timeline
+     */
+    adoptAnimations(element) {
+        if (typeof element.getAnimations !== 'function') return;
+        element.getAnimations().forEach(animation => this.timeline.add(animation));
+    }
+
+    startAnimationLoop() {
+        if (this.isAnimating) return;
+        
+        this.isAnimating = true;
+        this.animateCurrentShape();
+        if (!this.holds.size) this.timeline.play();
+    }
+
+    animateCurrentShape() {
+        this.library.resolve(this.currentShapeIndex)
+            .then(shape => {
+                this.failedShapes = 0;
+                if (this.isAnimating) this.formShape(shape);
+            })
+            .catch(error => {
+                console.warn('Skipping shape that could not be sampled:', error.message);
+
+                // Give up once every shape in the cycle has failed in a row
+                if (++this.failedShapes >= this.library.size) {
+                    this.isAnimating = false;
+                }
+                if (this.isAnimating) this.moveToNextShape();
+            });
+    }
+
+    /**
+     * Add a shape to the cycle, e.g. { name: 'logo', text: 'CATALYST' }
+     */
+    addShape(shape) {
+        this.library.add(shape);
+    }
+
+    formShape(currentShape) {
+        // Clear previous particles
+        this.clearParticles();
+        
+        // Hide shape formation initially
+        this.shapeContainer.classList.remove('visible');
+        this.formedShapeSVG.classList.remove('visible');
+        
+        // Start particle creation with staggered timing
+        this.createParticlesForShape(currentShape);
+        
+        // After particles form shape, show SVG and then move to next shape
+        this.timeline.schedule(FORM_DURATION, () => this.revealFormedShape(currentShape));
+        this.timeline.schedule(FORM_DURATION + HOLD_DURATION, () => this.fadeOutCurrentShape());
+        this.timeline.schedule(FORM_DURATION + HOLD_DURATION + FADE_DURATION, () => this.moveToNextShape());
+    }
+
+    createParticlesForShape(shape) {
+        // Line the layer's clock up with the timeline before it stamps launch times
+        this.syncClock(this.timeline.getState());
+
+        // Staggered launch times and flight paths are worked out by the layer;
+        // a few extra particles land on random targets for visual effect
+        this.layer.post('form', {
+            positions: shape.positions,
+            extras: this.governor.getSettings().shapeExtras
+        });
+    }
+
+    revealFormedShape(shape) {
+        // Update SVG content
+        this.formedShapeSVG.innerHTML = `
+            ${shape.svg}
+            <defs>
+                <radialGradient id="glowGradient">
+                    <stop offset="0%" style="stop-color: var(--effect-primary, #FFD700)" stop-opacity="0.8"/>
+                    <stop offset="100%" style="stop-color: var(--effect-primary, #FFD700)" stop-opacity="0"/>
+                </radialGradient>
+            </defs>
+            <circle cx="200" cy="200" r="150" fill="none" stroke="url(#glowGradient)" stroke-width="2" opacity="0.3"/>
+        `;
+        
+        // Show shape formation
+        this.shapeContainer.classList.add('visible');
+        this.adoptAnimations(this.shapeContainer);
+        
+        this.timeline.schedule(OUTLINE_DELAY, () => {
+            this.formedShapeSVG.classList.add('visible');
+            this.adoptAnimations(this.formedShapeSVG);
+        });
+    }
+
+    fadeOutCurrentShape() {
+        // Fade out particles
+        this.layer.post('fade');
+
+        // Fade out SVG shape
+        this.formedShapeSVG.classList.remove('visible');
+        this.shapeContainer.classList.remove('visible');
+    }
+
+    clearParticles() {
+        this.layer.post('clear');
+    }
+
+    moveToNextShape() {
+        this.currentShapeIndex = (this.currentShapeIndex + 1) % this.library.size;
+        this.animationCycle++;
+        
+        // Continue the loop
+        this.timeline.schedule(SHAPE_GAP, () => this.animateCurrentShape());
+    }
+
+    destroy() {
+        this.isAnimating = false;
+        this.timeline.clear();
+        this.timeline.pause();
+
+        if (this.unsubscribeClock) {
+            this.unsubscribeClock();
+            this.unsubscribeClock = null;
+        }
+        if (this.hero) {
+            this.hero.removeEventListener('mouseenter', this.handleMouseEnter);
+            this.hero.removeEventListener('mouseleave', this.handleMouseLeave);
+            document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+            document.removeEventListener('theme:change', this.handleThemeChange);
+            document.removeEventListener('performance:change', this.handlePerformanceChange);
+            this.hero = null;
+        }
+        if (this.observer) {
+            this.observer.disconnect();
+            this.observer = null;
+        }
+        if (this.layer) {
+            this.layer.remove();
+            this.layer = null;
+        }
+    }
+}
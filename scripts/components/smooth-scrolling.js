@@ -0,0 +1,244 @@
+/**
+ * CATALYST - ENTERPRISE INTELLIGENCE SOLUTIONS
+ * Smooth Scrolling Navigation
+ *
+ * Scrolls in-page links clear of the fixed header, keeps the URL hash in
+ * step with history (clicks, back/forward and a hash on page load), moves
+ * focus to the target section's heading, and marks the nav link of the
+ * section in view with aria-current="location". A `section:change` event
+ * ({ id, previous }) is dispatched on document when that section changes.
+ */
+
+import { CONFIG } from '../config.js';
+import { prefersReducedMotion } from '../utils.js';
+import { guarded } from '../services/component-registry.js';
+
+// Give up waiting for a smooth scroll to settle after this long
+const SCROLL_SETTLE_TIMEOUT = 1000;
+
+export class SmoothScrolling {
+    constructor() {
+        this.links = document.querySelectorAll('a[href^="#"]');
+        this.navLinks = document.querySelectorAll('.nav__link[href^="#"]');
+        this.sections = [];
+        this.visibleSections = new Set();
+        this.observer = null;
+        this.currentId = null;
+        this.init();
+    }
+
+    init() {
+        this.bindEvents();
+        this.initScrollSpy();
+        this.restoreInitialHash();
+    }
+
+    bindEvents() {
+        this.handleClick = guarded((e) => {
+            const link = e.currentTarget;
+            const targetId = link.getAttribute('href');
+            const targetElement = this.getTarget(targetId);
+
+            if (!targetElement) return;
+            e.preventDefault();
+
+            this.scrollToElement(targetElement, { focus: true });
+
+            if (history.pushState) {
+                // Clicking the link for the current section shouldn't stack up history
+                if (location.hash === targetId) {
+                    history.replaceState(null, '', targetId);
+                } else {
+                    history.pushState(null, '', targetId);
+                }
+            }
+        });
+
+        this.handlePopState = guarded(() => {
+            const target = this.getTarget(location.hash);
+            if (target) {
+                this.scrollToElement(target, { focus: true });
+            } else if (!location.hash) {
+                window.scrollTo(0, 0);
+            }
+        });
+
+        // The spy band sits below the header offset, so it needs a new observer
+        this.handleConfigChange = guarded((e) => {
+            if (!e.detail.changed.includes('scroll.offset') || !this.observer) return;
+
+            this.observer.disconnect();
+            this.visibleSections.clear();
+            this.initScrollSpy();
+        });
+
+        this.links.forEach(link => link.addEventListener('click', this.handleClick));
+        window.addEventListener('popstate', this.handlePopState);
+        document.addEventListener('config:change', this.handleConfigChange);
+    }
+
+    /**
+     * Element for a "#id" hash, or null for "#" and unknown ids
+     */
+    getTarget(hash) {
+        if (!hash || hash.length < 2) return null;
+
+        try {
+            return document.getElementById(decodeURIComponent(hash.slice(1)));
+        } catch (error) {
+            // Malformed percent-encoding in a hand-typed URL
+            return null;
+        }
+    }
+
+    /**
+     * The browser jumps to the hash before our header offset is applied;
+     * redo it once layout has settled
+     */
+    restoreInitialHash() {
+        const target = this.getTarget(location.hash);
+        if (!target) return;
+
+        requestAnimationFrame(() => {
+            this.scrollToElement(target, { focus: true, instant: true });
+        });
+    }
+
+    // ==========================================================================
+    // SCROLL SPY
+    // ==========================================================================
+
+    initScrollSpy() {
+        if (!('IntersectionObserver' in window)) return;
+
+        this.sections = Array.from(this.navLinks)
+            .map(link => this.getTarget(link.getAttribute('href')))
+            .filter((section, index, all) => section && all.indexOf(section) === index);
+
+        if (!this.sections.length) return;
+
+        // A section counts as "in view" while it crosses a band just below
+        // the fixed header
+        this.observer = new IntersectionObserver(guarded((entries) => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    this.visibleSections.add(entry.target);
+                } else {
+                    this.visibleSections.delete(entry.target);
+                }
+            });
+            this.updateActiveLink();
+        }), {
+            rootMargin: `-${CONFIG.scroll.offset}px 0px -55% 0px`
+        });
+
+        this.sections.forEach(section => this.observer.observe(section));
+    }
+
+    updateActiveLink() {
+        // Several sections can share the band; the first in document order wins
+        const active = this.sections.find(section => this.visibleSections.has(section));
+        if (!active || active.id === this.currentId) return;
+
+        const previous = this.currentId;
+        this.currentId = active.id;
+        this.navLinks.forEach(link => {
+            if (link.getAttribute('href') === `#${active.id}`) {
+                link.setAttribute('aria-current', 'location');
+            } else {
+                link.removeAttribute('aria-current');
+            }
+        });
+
+        document.dispatchEvent(new CustomEvent('section:change', {
+            detail: { id: active.id, previous }
+        }));
+    }
+
+    // ==========================================================================
+    // SCROLLING & FOCUS
+    // ==========================================================================
+
+    scrollToElement(element, options = {}) {
+        const elementPosition = element.getBoundingClientRect().top + window.pageYOffset;
+        const offsetPosition = elementPosition - CONFIG.scroll.offset;
+
+        if (options.instant || prefersReducedMotion()) {
+            window.scrollTo(0, offsetPosition);
+            if (options.focus) this.focusTarget(element);
+            return;
+        }
+
+        window.scrollTo({
+            top: offsetPosition,
+            behavior: 'smooth'
+        });
+
+        // Focusing straight away would cut the smooth scroll short
+        if (options.focus) {
+            this.waitForScrollEnd().then(() => this.focusTarget(element));
+        }
+    }
+
+    waitForScrollEnd() {
+        return new Promise(resolve => {
+            let lastTop = window.pageYOffset;
+            let stableFrames = 0;
+            let frameId = null;
+
+            const finish = () => {
+                window.removeEventListener('scrollend', finish);
+                cancelAnimationFrame(frameId);
+                clearTimeout(timeoutId);
+                resolve();
+            };
+
+            // Browsers without `scrollend`: wait for a few frames without movement
+            const check = () => {
+                const top = window.pageYOffset;
+                stableFrames = top === lastTop ? stableFrames + 1 : 0;
+                lastTop = top;
+
+                if (stableFrames >= 3) {
+                    finish();
+                } else {
+                    frameId = requestAnimationFrame(check);
+                }
+            };
+
+            const timeoutId = setTimeout(finish, SCROLL_SETTLE_TIMEOUT);
+            if ('onscrollend' in window) {
+                window.addEventListener('scrollend', finish, { once: true });
+            } else {
+                frameId = requestAnimationFrame(check);
+            }
+        });
+    }
+
+    /**
+     * Move focus to the section's heading so keyboard and screen-reader
+     * users continue from where the page scrolled to
+     */
+    focusTarget(element) {
+        const labelId = element.getAttribute('aria-labelledby');
+        const heading = (labelId && document.getElementById(labelId)) ||
+            element.querySelector('h1, h2, h3, h4, h5, h6') ||
+            element;
+
+        if (!heading.hasAttribute('tabindex') && !heading.matches('a[href], button, input, select, textarea')) {
+            heading.setAttribute('tabindex', '-1');
+        }
+        heading.focus({ preventScroll: true });
+    }
+
+    destroy() {
+        this.links.forEach(link => link.removeEventListener('click', this.handleClick));
+        window.removeEventListener('popstate', this.handlePopState);
+        document.removeEventListener('config:change', this.handleConfigChange);
+
+        if (this.observer) {
+            this.observer.disconnect();
+            this.observer = null;
+        }
+    }
+}
@@ -0,0 +1,280 @@
+/**
+ * CATALYST - ENTERPRISE INTELLIGENCE SOLUTIONS
+ * Stat Counters
+ *
+ * Counts .challenge-card__stat figures up from zero as their card scrolls
+ * into view, optionally with a mini-chart beside the number:
+ *
+ *   <div class="challenge-card__stat"
+ *        data-stat-value="25"            final figure
+ *        data-stat-format="percent"      number | percent | currency | compact
+ *        data-stat-currency="EUR"        for "currency"; USD by default
+ *        data-stat-chart="radial"        radial | bar; none by default
+ *        data-stat-max="100">25%</div>   the chart's full scale (100, or the value)
+ *
+ * Numbers are formatted with Intl.NumberFormat in the page's language, so
+ * "25%" reads "25 %" in Spanish. The aria-label always holds the final
+ * figure, and with reduced motion the figure and chart show it straight away.
+ * Stats rendered later (`content:render`) are picked up too.
+ */
+
+import { CONFIG } from '../config.js';
+import { prefersReducedMotion } from '../utils.js';
+import { EASINGS, clamp } from '../effects/easing.js';
+import { guarded } from '../services/component-registry.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const STAT_SELECTOR = '.challenge-card__stat[data-stat-value]';
+const FORMATS = ['number', 'percent', 'currency', 'compact'];
+
+/**
+ * Format a figure the way a stat shows it
+ *
+ * @param {number} value
+ * @param {Object} [options] - { format, currency, decimals }
+ * @param {string} [locale] - Defaults to the page's language
+ * @returns {string}
+ */
+export function formatStat(value, { format = 'number', currency = 'USD', decimals = 0 } = {}, locale) {
+    const digits = { minimumFractionDigits: decimals, maximumFractionDigits: decimals };
+    const styles = {
+        number: digits,
+        percent: { style: 'percent', ...digits },
+        currency: { style: 'currency', currency, ...digits },
+        compact: { notation: 'compact', maximumFractionDigits: Math.max(decimals, 1) }
+    };
+    const tag = locale || document.documentElement.lang || undefined;
+    const number = format === 'percent' ? value / 100 : value;
+
+    try {
+        return new Intl.NumberFormat(tag, styles[format] || digits).format(number);
+    } catch (error) {
+        // Unknown currency code or language tag
+        return String(value);
+    }
+}
+
+function countDecimals(value) {
+    const fraction = String(value).split('.')[1];
+    return fraction ? fraction.length : 0;
+}
+
+export class StatCounters {
+    /**
+     * @param {Object} [options] - Overrides for CONFIG.stats
+     */
+    constructor(options = {}) {
+        this.overrides = options;
+        this.options = { ...CONFIG.stats, ...options };
+        this.stats = new Map();
+        this.observer = null;
+
+        this.init();
+    }
+
+    init() {
+        if (!prefersReducedMotion() && 'IntersectionObserver' in window) {
+            this.observer = new IntersectionObserver(guarded((entries) => {
+                entries.forEach(entry => {
+                    if (!entry.isIntersecting) return;
+                    this.observer.unobserve(entry.target);
+                    this.animate(this.stats.get(entry.target));
+                });
+            }), { threshold: this.options.threshold });
+        }
+
+        this.bindEvents();
+        this.add(document.querySelectorAll(STAT_SELECTOR));
+    }
+
+    bindEvents() {
+        this.handleContentRender = guarded((e) => {
+            this.forgetDetached();
+            e.detail.containers.forEach(container => this.add(container.querySelectorAll(STAT_SELECTOR)));
+        });
+
+        // Digits, separators and symbols differ between languages
+        this.handleLocaleChange = guarded(() => {
+            this.stats.forEach(stat => {
+                stat.element.setAttribute('aria-label', this.format(stat, stat.value));
+                if (!stat.frame) this.draw(stat, stat.shown);
+            });
+        });
+
+        this.handleConfigChange = guarded((e) => {
+            if (e.detail.sections.includes('stats')) {
+                this.options = { ...CONFIG.stats, ...this.overrides };
+            }
+        });
+
+        document.addEventListener('content:render', this.handleContentRender);
+        document.addEventListener('i18n:change', this.handleLocaleChange);
+        document.addEventListener('config:change', this.handleConfigChange);
+    }
+
+    /**
+     * @param {Iterable<HTMLElement>} elements - Stats with a data-stat-value
+     */
+    add(elements) {
+        elements.forEach(element => {
+            if (this.stats.has(element)) return;
+
+            const stat = this.read(element);
+            if (!stat) return;
+
+            this.stats.set(element, stat);
+            element.setAttribute('role', 'img');
+            element.setAttribute('aria-label', this.format(stat, stat.value));
+            if (stat.chart) this.addChart(stat);
+
+            if (this.observer) {
+                this.draw(stat, 0);
+                this.observer.observe(element);
+            } else {
+                this.draw(stat, stat.value);
+            }
+        });
+    }
+
+    read(element) {
+        const { statValue, statFormat, statCurrency, statChart, statMax } = element.dataset;
+        const value = Number(statValue);
+
+        if (!Number.isFinite(value)) {
+            console.warn(`Stat counters: "${statValue}" is not a number`);
+            return null;
+        }
+
+        const format = FORMATS.includes(statFormat) ? statFormat : 'number';
+        const max = Number(statMax) || (format === 'percent' ? 100 : value);
+
+        return {
+            element,
+            value,
+            format,
+            currency: statCurrency || 'USD',
+            decimals: countDecimals(statValue),
+            chart: ['radial', 'bar'].includes(statChart) ? statChart : null,
+            max,
+            shown: 0,
+            frame: null,
+            parts: null
+        };
+    }
+
+    forgetDetached() {
+        this.stats.forEach((stat, element) => {
+            if (element.isConnected) return;
+            if (stat.frame) cancelAnimationFrame(stat.frame);
+            this.stats.delete(element);
+        });
+    }
+
+    // ==========================================================================
+    // CHARTS
+    // ==========================================================================
+
+    addChart(stat) {
+        const chart = stat.chart === 'radial' ? this.createRing() : this.createBar();
+
+        chart.root.classList.add('challenge-card__chart', `challenge-card__chart--${stat.chart}`);
+        chart.root.setAttribute('aria-hidden', 'true');
+        stat.element.after(chart.root);
+        stat.parts = chart;
+    }
+
+    createRing() {
+        const svg = document.createElementNS(SVG_NS, 'svg');
+        svg.setAttribute('viewBox', '0 0 36 36');
+        svg.setAttribute('focusable', 'false');
+
+        const circle = (className) => {
+            const element = document.createElementNS(SVG_NS, 'circle');
+            element.setAttribute('class', className);
+            element.setAttribute('cx', '18');
+            element.setAttribute('cy', '18');
+            element.setAttribute('r', '16');
+            // Lets the dash length be a plain percentage
+            element.setAttribute('pathLength', '100');
+            svg.appendChild(element);
+            return element;
+        };
+
+        circle('challenge-card__chart-track');
+        const fill = circle('challenge-card__chart-fill');
+
+        return {
+            root: svg,
+            update: share => fill.setAttribute('stroke-dasharray', `${share * 100} 100`)
+        };
+    }
+
+    createBar() {
+        const track = document.createElement('div');
+        const fill = document.createElement('div');
+        fill.className = 'challenge-card__chart-fill';
+        track.appendChild(fill);
+
+        return {
+            root: track,
+            update: share => {
+                fill.style.width = `${share * 100}%`;
+            }
+        };
+    }
+
+    // ==========================================================================
+    // COUNTING
+    // ==========================================================================
+
+    format(stat, value) {
+        return formatStat(value, stat);
+    }
+
+    draw(stat, value) {
+        stat.shown = value;
+        stat.element.textContent = this.format(stat, value);
+        if (stat.parts) stat.parts.update(stat.max ? clamp(value / stat.max, 0, 1) : 0);
+    }
+
+    animate(stat) {
+        if (!stat || stat.frame) return;
+
+        const { duration } = this.options;
+        const step = 10 ** stat.decimals;
+        let start = null;
+
+        const tick = (now) => {
+            if (start === null) start = now;
+            const progress = duration > 0 ? Math.min((now - start) / duration, 1) : 1;
+
+            // Whole steps of the final figure's precision, so 25 doesn't pass through 12.7
+            this.draw(stat, Math.round(stat.value * EASINGS.easeOut(progress) * step) / step);
+
+            stat.frame = progress < 1 ? requestAnimationFrame(tick) : null;
+        };
+
+        stat.frame = requestAnimationFrame(tick);
+    }
+
+    destroy() {
+        if (this.observer) {
+            this.observer.disconnect();
+            this.observer = null;
+        }
+
+        // Leave every figure at its final value, without the charts
+        this.stats.forEach(stat => {
+            if (stat.frame) cancelAnimationFrame(stat.frame);
+            if (stat.parts) stat.parts.root.remove();
+            stat.frame = null;
+            stat.parts = null;
+            this.draw(stat, stat.value);
+        });
+        this.stats.clear();
+
+        document.removeEventListener('content:render', this.handleContentRender);
+        document.removeEventListener('i18n:change', this.handleLocaleChange);
+        document.removeEventListener('config:change', this.handleConfigChange);
+    }
+}
@@ -0,0 +1,288 @@
+/**
+ * CATALYST - ENTERPRISE INTELLIGENCE SOLUTIONS
+ * Toast Notifications
+ *
+ * Toasts stack inside #toast, newest last, up to CONFIG.toast.max at once;
+ * extra toasts wait their turn. Each one counts down on its own and holds
+ * still while hovered or focused.
+ *
+ *   toasts.show('Saved');
+ *   toasts.show('Could not send', { type: 'error', action: { label: 'Retry', onClick: retry } });
+ *   toasts.promise(request, { loading: 'Sending…', success: 'Sent', error: e => e.message });
+ *
+ * Errors use role="alert"; everything else is a polite role="status".
+ * Messages and action labels may be catalog references, { key, params },
+ * which are translated when drawn and again when the locale changes.
+ */
+
+import { CONFIG } from '../config.js';
+import { getI18n } from '../services/i18n.js';
+import { guarded } from '../services/component-registry.js';
+
+// Matches the .toast transition
+const EXIT_DURATION = 300;
+
+export class ToastManager {
+    /**
+     * @param {Object} [options] - Overrides for CONFIG.toast
+     */
+    constructor(options = {}) {
+        this.container = document.getElementById('toast');
+        this.overrides = options;
+        this.options = { ...CONFIG.toast, ...options };
+        this.toasts = new Map();
+        this.queue = [];
+        this.nextId = 1;
+        this.i18n = getI18n();
+
+        this.handleLocaleChange = guarded(() => {
+            this.toasts.forEach(toast => {
+                if (toast.element.classList.contains('show')) this.fill(toast);
+            });
+        });
+        document.addEventListener('i18n:change', this.handleLocaleChange);
+
+        // Applies to toasts shown from now on
+        this.handleConfigChange = guarded((e) => {
+            if (e.detail.sections.includes('toast')) {
+                this.options = { ...CONFIG.toast, ...this.overrides };
+            }
+        });
+        document.addEventListener('config:change', this.handleConfigChange);
+    }
+
+    /**
+     * @param {string|Object} message - Text, or a catalog reference { key, params }
+     * @param {string|Object} [type='success'] - Type, or an options object:
+     *   { type, duration, action: { label, onClick }, dismissible }
+     * @param {number} [duration] - Milliseconds; 0 keeps the toast until dismissed.
+     *   Defaults to `errorDuration` for errors and `duration` otherwise.
+     * @returns {Object} handle with update() and dismiss()
+     */
+    show(message, type = 'success', duration) {
+        const options = typeof type === 'object' ? { ...type } : { type, duration };
+        const toastType = options.type || 'success';
+        const toast = {
+            id: this.nextId++,
+            message,
+            type: toastType,
+            duration: options.duration ?? (toastType === 'error' ? this.options.errorDuration : this.options.duration),
+            action: options.action || null,
+            dismissible: options.dismissible !== false,
+            element: null,
+            timerId: null,
+            remaining: 0,
+            startedAt: 0,
+            holds: 0
+        };
+        const handle = this.createHandle(toast);
+
+        if (!this.container) return handle;
+
+        if (this.toasts.size >= this.options.max) {
+            this.queue.push(toast);
+        } else {
+            this.render(toast);
+        }
+        return handle;
+    }
+
+    /**
+     * Show `loading` until the promise settles, then swap in `success` or
+     * `error` (strings, or functions of the result / error). Pass null for
+     * `success` or `error` to just dismiss the toast in that case.
+     *
+     * @returns {Promise} the original promise
+     */
+    promise(promise, { loading, success, error }) {
+        const toast = this.show(loading, { type: 'info', duration: 0, dismissible: false });
+        const settle = (message, type, value) => {
+            if (message === null || message === undefined) {
+                toast.dismiss();
+                return;
+            }
+            toast.update(typeof message === 'function' ? message(value) : message, {
+                type,
+                duration: type === 'error' ? this.options.errorDuration : this.options.duration,
+                dismissible: true
+            });
+        };
+
+        promise.then(
+            value => settle(success, 'success', value),
+            reason => settle(error, 'error', reason)
+        );
+        return promise;
+    }
+
+    /**
+     * Dismiss one toast by id, or every toast (and the queue) without one
+     */
+    hide(id) {
+        if (id === undefined) {
+            this.queue = [];
+            Array.from(this.toasts.keys()).forEach(key => this.dismiss(key));
+            return;
+        }
+        this.dismiss(id);
+    }
+
+    dismiss(id) {
+        const queued = this.queue.findIndex(toast => toast.id === id);
+        if (queued !== -1) {
+            this.queue.splice(queued, 1);
+            return;
+        }
+
+        const toast = this.toasts.get(id);
+        if (!toast) return;
+
+        clearTimeout(toast.timerId);
+        this.toasts.delete(id);
+
+        toast.element.classList.remove('show');
+        setTimeout(() => toast.element.remove(), EXIT_DURATION);
+
+        // A slot opened up
+        if (this.queue.length) {
+            this.render(this.queue.shift());
+        }
+    }
+
+    createHandle(toast) {
+        return {
+            id: toast.id,
+            update: (message, options = {}) => this.update(toast, message, options),
+            dismiss: () => this.dismiss(toast.id)
+        };
+    }
+
+    // ==========================================================================
+    // RENDERING
+    // ==========================================================================
+
+    render(toast) {
+        const element = document.createElement('div');
+        element.className = `toast ${toast.type}`;
+        element.setAttribute('role', toast.type === 'error' ? 'alert' : 'status');
+        element.setAttribute('aria-atomic', 'true');
+        toast.element = element;
+
+        element.addEventListener('mouseenter', guarded(() => this.holdTimer(toast)));
+        element.addEventListener('mouseleave', guarded(() => this.releaseTimer(toast)));
+        element.addEventListener('focusin', guarded(() => this.holdTimer(toast)));
+        element.addEventListener('focusout', guarded((e) => {
+            if (!element.contains(e.relatedTarget)) this.releaseTimer(toast);
+        }));
+
+        this.toasts.set(toast.id, toast);
+        this.container.appendChild(element);
+
+        // Live regions announce changes, not nodes that arrive already filled
+        requestAnimationFrame(() => {
+            if (!this.toasts.has(toast.id)) return;
+            this.fill(toast);
+            element.classList.add('show');
+        });
+
+        this.startTimer(toast, toast.duration);
+    }
+
+    fill(toast) {
+        const { element } = toast;
+
+        element.className = `toast ${toast.type} show`;
+        element.setAttribute('role', toast.type === 'error' ? 'alert' : 'status');
+        element.replaceChildren();
+
+        const message = document.createElement('p');
+        message.className = 'toast__message';
+        message.textContent = this.resolveText(toast.message);
+        element.appendChild(message);
+
+        if (toast.action) {
+            const action = document.createElement('button');
+            action.type = 'button';
+            action.className = 'toast__action';
+            action.textContent = this.resolveText(toast.action.label);
+            action.addEventListener('click', guarded(() => {
+                toast.action.onClick(this.createHandle(toast));
+                this.dismiss(toast.id);
+            }));
+            element.appendChild(action);
+        }
+
+        if (toast.dismissible) {
+            const close = document.createElement('button');
+            close.type = 'button';
+            close.className = 'toast__close';
+            close.setAttribute('aria-label', this.i18n.t('toast.dismiss', {}, 'Dismiss notification'));
+            close.innerHTML = '<span aria-hidden="true">&times;</span>';
+            close.addEventListener('click', guarded(() => this.dismiss(toast.id)));
+            element.appendChild(close);
+        }
+    }
+
+    resolveText(text) {
+        if (text && typeof text === 'object') {
+            return this.i18n.t(text.key, text.params);
+        }
+        return text;
+    }
+
+    update(toast, message, options = {}) {
+        Object.assign(toast, {
+            message,
+            type: options.type || toast.type,
+            action: options.action !== undefined ? options.action : toast.action,
+            dismissible: options.dismissible !== undefined ? options.dismissible : toast.dismissible
+        });
+        if (options.duration !== undefined) toast.duration = options.duration;
+
+        // Still queued: it will be drawn with the new content
+        if (!this.toasts.has(toast.id)) return;
+
+        // Not painted yet: the pending frame fills it in
+        if (toast.element.classList.contains('show')) this.fill(toast);
+        this.startTimer(toast, toast.duration);
+    }
+
+    // ==========================================================================
+    // TIMERS
+    // ==========================================================================
+
+    startTimer(toast, duration) {
+        clearTimeout(toast.timerId);
+        toast.timerId = null;
+        toast.remaining = duration;
+
+        if (!duration || toast.holds) return;
+
+        toast.startedAt = Date.now();
+        toast.timerId = setTimeout(() => this.dismiss(toast.id), duration);
+    }
+
+    holdTimer(toast) {
+        toast.holds++;
+        if (toast.holds > 1 || !toast.timerId) return;
+
+        clearTimeout(toast.timerId);
+        toast.timerId = null;
+        toast.remaining = Math.max(0, toast.remaining - (Date.now() - toast.startedAt));
+    }
+
+    releaseTimer(toast) {
+        toast.holds = Math.max(0, toast.holds - 1);
+        if (toast.holds || !toast.remaining || !this.toasts.has(toast.id)) return;
+
+        // Leave a moment to read it after the pointer moves away
+        this.startTimer(toast, Math.max(toast.remaining, 1000));
+    }
+
+    destroy() {
+        document.removeEventListener('i18n:change', this.handleLocaleChange);
+        document.removeEventListener('config:change', this.handleConfigChange);
+        this.queue = [];
+        this.toasts.forEach(toast => clearTimeout(toast.timerId));
+    }
+}
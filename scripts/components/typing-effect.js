@@ -0,0 +1,318 @@
+/**
+ * CATALYST - ENTERPRISE INTELLIGENCE SOLUTIONS
+ * Typing Effect
+ *
+ * Phrases come from the constructor, or from the element itself:
+ *
+ *   <span data-typing-phrases='["Data-Driven", {"text": "Future-Ready", "pause": 3000}]'
+ *         data-typing-loop="2" data-typing-typos>…</span>
+ *
+ * `data-typing-phrases` may also be a "|"-separated list, and
+ * `data-typing-source` may point at a <script type="application/json">
+ * holding the same array. Per-phrase `speed`, `deleteSpeed`, `pause` and
+ * `typos` override the effect's options. With `data-typing-i18n="hero.typing"`
+ * the phrases come from that locale catalog entry instead, and are swapped
+ * whenever the locale changes.
+ *
+ * The animated element is hidden from assistive technology; a visually
+ * hidden live region next to it announces each phrase once it's complete.
+ * Progress is reported with bubbling `typing:start`, `typing:phrase` and
+ * `typing:done` events.
+ */
+
+import { CONFIG } from '../config.js';
+import { prefersReducedMotion } from '../utils.js';
+import { getI18n } from '../services/i18n.js';
+import { guarded } from '../services/component-registry.js';
+
+// Neighbouring keys used for typos; anything else gets a random letter
+const KEYBOARD_ROWS = ['qwertyuiop', 'asdfghjkl', 'zxcvbnm'];
+
+function parseNumber(value) {
+    if (value === undefined || value === '') return undefined;
+    if (value === 'infinite') return Infinity;
+
+    const number = Number(value);
+    return Number.isNaN(number) ? undefined : number;
+}
+
+function parseFlag(value) {
+    if (value === undefined) return undefined;
+    return value !== 'false';
+}
+
+function normalizePhrases(phrases) {
+    return phrases
+        .map(phrase => (typeof phrase === 'string' ? { text: phrase } : phrase))
+        .filter(phrase => phrase && phrase.text);
+}
+
+/**
+ * Phrases and options declared on the element's data attributes
+ */
+function readDataset(element) {
+    const { dataset } = element;
+    let phrases = null;
+
+    if (dataset.typingSource) {
+        const source = document.querySelector(dataset.typingSource);
+        if (source) phrases = JSON.parse(source.textContent);
+    } else if (dataset.typingPhrases) {
+        const raw = dataset.typingPhrases.trim();
+        phrases = raw.startsWith('[') ? JSON.parse(raw) : raw.split('|').map(text => text.trim());
+    }
+
+    const options = {
+        speed: parseNumber(dataset.typingSpeed),
+        deleteSpeed: parseNumber(dataset.typingDeleteSpeed),
+        pauseTime: parseNumber(dataset.typingPause),
+        loop: parseNumber(dataset.typingLoop),
+        stopOnLast: parseFlag(dataset.typingStopOnLast),
+        typos: parseFlag(dataset.typingTypos)
+    };
+
+    // Only keep what the markup actually set
+    Object.keys(options).forEach(key => options[key] === undefined && delete options[key]);
+
+    return { phrases, options, key: dataset.typingI18n || null };
+}
+
+export class TypingEffect {
+    /**
+     * @param {HTMLElement} element
+     * @param {Array<string|Object>} [texts] - Phrases; read from the element when omitted
+     * @param {Object} [options] - Overrides for CONFIG.typing
+     */
+    constructor(element, texts, options = {}) {
+        this.element = element;
+
+        let declared = { phrases: null, options: {}, key: null };
+        try {
+            declared = readDataset(element);
+        } catch (error) {
+            console.warn('TypingEffect: could not read phrases from markup:', error.message);
+        }
+
+        // Markup and constructor options win over CONFIG, even when it changes
+        this.overrides = { ...declared.options, ...options };
+        this.applyOptions();
+
+        // Phrases passed in are fixed; catalog ones follow the locale
+        this.i18n = getI18n();
+        this.i18nKey = texts ? null : declared.key;
+
+        const phrases = texts || this.getCatalogPhrases() || declared.phrases || [element.textContent.trim()];
+        this.phrases = normalizePhrases(phrases);
+
+        this.textIndex = 0;
+        this.charIndex = 0;
+        this.loopCount = 0;
+        this.isDeleting = false;
+        this.isPaused = false;
+        this.isDone = false;
+        this.typo = null;
+        this.timeoutId = null;
+        this.liveRegion = null;
+
+        if (!this.phrases.length) return;
+
+        this.setupAccessibility();
+
+        if (this.i18nKey) {
+            this.handleLocaleChange = guarded(() => {
+                const catalogPhrases = this.getCatalogPhrases();
+                if (catalogPhrases) this.setPhrases(catalogPhrases);
+            });
+            document.addEventListener('i18n:change', this.handleLocaleChange);
+        }
+
+        // New speeds take effect from the next keystroke
+        this.handleConfigChange = guarded((e) => {
+            if (e.detail.sections.includes('typing')) this.applyOptions();
+        });
+        document.addEventListener('config:change', this.handleConfigChange);
+
+        this.start();
+    }
+
+    applyOptions() {
+        this.options = { ...CONFIG.typing, ...this.overrides };
+        if (this.options.stopOnLast) this.options.loop = 1;
+    }
+
+    getCatalogPhrases() {
+        if (!this.i18nKey) return null;
+
+        const phrases = this.i18n.get(this.i18nKey);
+        return Array.isArray(phrases) ? phrases : null;
+    }
+
+    start() {
+        if (prefersReducedMotion()) {
+            this.element.textContent = this.phrases[0].text;
+            this.liveRegion.textContent = this.phrases[0].text;
+            return;
+        }
+
+        this.emit('typing:start', { phrase: this.phrases[0].text, index: 0 });
+        this.type();
+    }
+
+    /**
+     * Replace the phrase list and start over from its first phrase
+     */
+    setPhrases(phrases) {
+        const normalized = normalizePhrases(phrases);
+        if (!normalized.length || !this.liveRegion) return;
+
+        clearTimeout(this.timeoutId);
+        this.timeoutId = null;
+
+        this.phrases = normalized;
+        this.textIndex = 0;
+        this.charIndex = 0;
+        this.loopCount = 0;
+        this.isDeleting = false;
+        this.isDone = false;
+        this.typo = null;
+
+        // destroy() should leave the current language behind
+        this.originalText = normalized[0].text;
+        this.element.textContent = '';
+        this.liveRegion.textContent = normalized[0].text;
+
+        if (!this.isPaused) this.start();
+    }
+
+    setupAccessibility() {
+        this.originalText = this.element.textContent;
+        this.element.setAttribute('aria-hidden', 'true');
+
+        // Screen readers get whole phrases, not a stream of single letters
+        this.liveRegion = document.createElement('span');
+        this.liveRegion.className = 'sr-only';
+        this.liveRegion.setAttribute('aria-live', 'polite');
+        this.liveRegion.setAttribute('aria-atomic', 'true');
+        this.liveRegion.textContent = this.originalText.trim() || this.phrases[0].text;
+        this.element.insertAdjacentElement('afterend', this.liveRegion);
+    }
+
+    /**
+     * Setting for the current phrase, falling back to the effect's options
+     */
+    getSetting(phrase, key, optionKey = key) {
+        return phrase[key] !== undefined ? phrase[key] : this.options[optionKey];
+    }
+
+    emit(type, detail) {
+        this.element.dispatchEvent(new CustomEvent(type, { bubbles: true, detail }));
+    }
+
+    type() {
+        if (this.isPaused || this.isDone) return;
+
+        const phrase = this.phrases[this.textIndex];
+        const currentText = phrase.text;
+        let typeSpeed = this.isDeleting
+            ? this.getSetting(phrase, 'deleteSpeed')
+            : this.getSetting(phrase, 'speed');
+
+        if (this.typo) {
+            // Notice the slip, then take it back
+            this.typo = null;
+            this.element.textContent = currentText.substring(0, this.charIndex);
+            this.timeoutId = setTimeout(() => this.type(), this.getSetting(phrase, 'deleteSpeed'));
+            return;
+        }
+
+        if (this.isDeleting) {
+            this.element.textContent = currentText.substring(0, this.charIndex - 1);
+            this.charIndex--;
+        } else if (this.shouldTypo(phrase, currentText[this.charIndex])) {
+            this.typo = this.getTypo(currentText[this.charIndex]);
+            this.element.textContent = currentText.substring(0, this.charIndex) + this.typo;
+            this.timeoutId = setTimeout(() => this.type(), typeSpeed * 3);
+            return;
+        } else {
+            this.element.textContent = currentText.substring(0, this.charIndex + 1);
+            this.charIndex++;
+        }
+
+        if (!this.isDeleting && this.charIndex === currentText.length) {
+            this.completePhrase(phrase);
+            if (this.isDone) return;
+
+            typeSpeed = this.getSetting(phrase, 'pause', 'pauseTime');
+            this.isDeleting = true;
+        } else if (this.isDeleting && this.charIndex === 0) {
+            this.isDeleting = false;
+            this.textIndex = (this.textIndex + 1) % this.phrases.length;
+            typeSpeed = this.options.phraseDelay;
+        }
+
+        this.timeoutId = setTimeout(() => this.type(), typeSpeed);
+    }
+
+    completePhrase(phrase) {
+        this.liveRegion.textContent = phrase.text;
+        this.emit('typing:phrase', { phrase: phrase.text, index: this.textIndex, loop: this.loopCount });
+
+        if (this.textIndex === this.phrases.length - 1) {
+            this.loopCount++;
+
+            // Stay on the last phrase once every loop has played
+            if (this.loopCount >= this.options.loop) {
+                this.isDone = true;
+                this.emit('typing:done', { phrase: phrase.text, loops: this.loopCount });
+            }
+        }
+    }
+
+    shouldTypo(phrase, char) {
+        if (!this.getSetting(phrase, 'typos') || !/[a-z]/i.test(char || '')) return false;
+
+        // Never slip on the first letter, it reads as a glitch
+        return this.charIndex > 0 && Math.random() < this.options.typoChance;
+    }
+
+    getTypo(char) {
+        const lower = char.toLowerCase();
+        const row = KEYBOARD_ROWS.find(keys => keys.includes(lower));
+        let typo;
+
+        if (row) {
+            const index = row.indexOf(lower);
+            const neighbours = [row[index - 1], row[index + 1]].filter(Boolean);
+            typo = neighbours[Math.floor(Math.random() * neighbours.length)];
+        } else {
+            typo = String.fromCharCode(97 + Math.floor(Math.random() * 26));
+        }
+
+        return char === lower ? typo : typo.toUpperCase();
+    }
+
+    pause() {
+        this.isPaused = true;
+        clearTimeout(this.timeoutId);
+        this.timeoutId = null;
+    }
+
+    resume() {
+        if (!this.isPaused) return;
+        this.isPaused = false;
+        this.type();
+    }
+
+    destroy() {
+        this.pause();
+        document.removeEventListener('i18n:change', this.handleLocaleChange);
+        document.removeEventListener('config:change', this.handleConfigChange);
+
+        if (this.liveRegion) {
+            this.liveRegion.remove();
+            this.liveRegion = null;
+            this.element.removeAttribute('aria-hidden');
+            this.element.textContent = this.originalText;
+        }
+    }
+}
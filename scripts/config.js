@@ -0,0 +1,246 @@
+/**
+ * CATALYST - ENTERPRISE INTELLIGENCE SOLUTIONS
+ * Shared configuration
+ */
+
+// ==========================================================================
+// CONSTANTS & CONFIGURATION
+// ==========================================================================
+
+export const CONFIG = {
+    breakpoints: {
+        mobile: 768,
+        tablet: 1024
+    },
+    animation: {
+        duration: 300,
+        easing: 'cubic-bezier(0.4, 0, 0.2, 1)'
+    },
+    scroll: {
+        offset: 80,
+        threshold: 100
+    },
+    particles: {
+        // Element (or selector) whose box the particle field fills
+        mount: '#particles-container',
+        count: 50,
+        speed: 0.5,
+        size: { min: 2, max: 6 }
+    },
+    performance: {
+        // Effect scaling per tier: multipliers for the particle and dot
+        // counts, extra shape particles, and the shape particles' glow (px)
+        tiers: {
+            low: { particles: 0.25, dots: 0.3, shapeExtras: 0, glow: 0 },
+            medium: { particles: 0.6, dots: 0.6, shapeExtras: 6, glow: 8 },
+            high: { particles: 1, dots: 1, shapeExtras: 12, glow: 15 }
+        },
+        // Pin 'low', 'medium' or 'high'; null decides from the device and frame rate
+        tier: null,
+        // Average frame time over each window (ms): slower than `slowFrame`
+        // steps down, faster than `fastFrame` for `upgradeAfter` windows in
+        // a row steps back up
+        sampleWindow: 2000,
+        slowFrame: 25,
+        fastFrame: 18,
+        upgradeAfter: 3
+    },
+    dots: {
+        // Floating dots on screen at once
+        max: 25,
+        // ...when the visitor prefers reduced motion
+        reducedMotionMax: 5
+    },
+    shapes: {
+        // Target points sampled per shape unless the shape sets `count`
+        count: 24,
+        viewBox: 400,
+        font: '800 100px Poppins, sans-serif'
+    },
+    typing: {
+        speed: 150,
+        deleteSpeed: 75,
+        pauseTime: 2000,
+        // Pause between deleting one phrase and typing the next
+        phraseDelay: 500,
+        // Passes through the phrase list before stopping on the last one
+        loop: Infinity,
+        stopOnLast: false,
+        // Occasionally hit a neighbouring key and correct it
+        typos: false,
+        typoChance: 0.05
+    },
+    theme: {
+        // Keep in step with the inline theme snippet in index.html
+        storageKey: 'catalyst:theme',
+        themes: ['light', 'dark', 'high-contrast']
+    },
+    i18n: {
+        // Catalog URL; {locale} is replaced with the locale code
+        path: 'locales/{locale}.json',
+        // Also the fallback for keys a catalog is missing
+        defaultLocale: 'en',
+        // Locales with a catalog, and their names in the switcher
+        locales: {
+            en: 'English',
+            es: 'Español',
+            ar: 'العربية'
+        },
+        storageKey: 'catalyst:locale'
+    },
+    metadata: {
+        // Public address of the page; left null, the canonical link or
+        // og:url in the markup is used
+        url: null,
+        // 'summary' or 'summary_large_image' (needs a twitter:image)
+        twitterCard: 'summary',
+        contactType: 'customer service'
+    },
+    stats: {
+        // Milliseconds to count up to each figure
+        duration: 1500,
+        // Share of a figure that must be in view before it starts
+        threshold: 0.5
+    },
+    content: {
+        // Cards and lists for the challenge, solution and contact sections;
+        // an inline <script type="application/json" id="catalyst-content">
+        // is used instead when the page has one
+        path: 'content/sections.json'
+    },
+    toast: {
+        // Toasts on screen at once; more wait in line
+        max: 3,
+        duration: 4000,
+        errorDuration: 8000
+    },
+    consent: {
+        // index.html sets storageKey and version through data-catalyst-consent-*
+        // on <html>, where its pre-paint snippet reads them too; change them there
+        storageKey: 'catalyst:consent',
+        // Bump to ask every visitor again, e.g. after adding a category
+        version: 1,
+        // "necessary" can't be turned off
+        categories: ['necessary', 'analytics', 'external']
+    },
+    analytics: {
+        // 'beacon' posts batches to `endpoint`, 'console' logs them and
+        // 'none' drops them. Left null, the beacon is used whenever an
+        // endpoint is configured.
+        adapter: null,
+        endpoint: null,
+        batchSize: 10,
+        // Longest an event waits in the queue, in milliseconds
+        flushInterval: 5000,
+        // Only send once the visitor has agreed to the "analytics" category
+        requireConsent: true,
+        // Never send when the browser asks not to be tracked
+        respectDoNotTrack: true,
+        // Section views shorter than this aren't reported
+        minDwell: 1000,
+        scrollDepths: [25, 50, 75, 100]
+    },
+    errors: {
+        // Reports are POSTed here as JSON ({ reports: […] }); left null,
+        // nothing is sent
+        endpoint: null,
+        // Recent clicks, navigations and form actions kept for each report
+        maxBreadcrumbs: 20,
+        // The same error again within this many milliseconds isn't re-sent
+        dedupeWindow: 60000,
+        rateLimit: {
+            max: 10,
+            window: 60 * 1000
+        },
+        // Reports waiting for the connection to come back
+        storageKey: 'catalyst:error-reports',
+        maxStored: 20
+    },
+    contact: {
+        // 'json' posts to `endpoint`, 'mailto' opens the visitor's mail client.
+        // Left null, JSON is used whenever an endpoint is configured. The
+        // form's data-endpoint attribute overrides `endpoint`.
+        transport: null,
+        endpoint: null,
+        mailto: 'hello@catalyst.com',
+        subject: 'Website enquiry',
+        timeout: 10000,
+        // Validation rules per field name, merged over the rules the markup
+        // declares (see services/form-validator.js)
+        schema: {
+            firstName: { maxLength: 50 },
+            lastName: { maxLength: 50 },
+            // Messages come from the locale catalog (form.errors)
+            email: { pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/ },
+            company: { maxLength: 100 },
+            message: { maxLength: 5000 }
+        },
+        spam: {
+            // Hidden field that only bots fill in
+            honeypotName: 'website',
+            // Minimum milliseconds between page render and submit
+            minSubmitTime: 3000,
+            rateLimit: {
+                max: 3,
+                window: 60 * 60 * 1000,
+                storageKey: 'catalyst:contact-submissions'
+            },
+            // Pretend bot submissions succeeded instead of showing an error
+            silentForBots: true,
+            // Optional async (payload) => token, sent as `challengeToken`
+            challenge: null
+        },
+        // Step-by-step version of the form (see components/lead-wizard.js)
+        wizard: {
+            enabled: true,
+            // Rules for the fields only the wizard asks for, on top of `schema`
+            schema: {
+                service: { required: true, label: 'Service' },
+                companySize: { required: true },
+                dataMaturity: { required: true }
+            },
+            // Unsent answers, restored on the next visit
+            draftKey: 'catalyst:contact-draft',
+            draftMaxAge: 7 * 24 * 60 * 60 * 1000,
+            // Milliseconds of quiet typing before the draft is saved
+            autosaveDelay: 500
+        },
+        queue: {
+            storageKey: 'catalyst:contact-queue',
+            maxAttempts: 5,
+            retryDelay: 2000,
+            maxRetryDelay: 60000
+        }
+    },
+    scheduler: {
+        // "Book a call" beside the contact form (see components/meeting-scheduler.js)
+        enabled: true,
+        // An object with getSlots({ from, to }) supplying the open times, e.g.
+        // from a backend's free/busy data (see services/availability.js).
+        // Left null, they're worked out from the rules below.
+        provider: null,
+        // The team's time zone; working hours and blackout dates are read in it
+        timeZone: 'America/New_York',
+        // ["HH:MM", "HH:MM"] opening times per weekday
+        workingHours: {
+            mon: [['09:00', '12:00'], ['13:00', '17:00']],
+            tue: [['09:00', '12:00'], ['13:00', '17:00']],
+            wed: [['09:00', '12:00'], ['13:00', '17:00']],
+            thu: [['09:00', '12:00'], ['13:00', '17:00']],
+            fri: [['09:00', '12:00'], ['13:00', '15:00']],
+            sat: [],
+            sun: []
+        },
+        // Days with no calls, as "YYYY-MM-DD"
+        blackoutDates: ['2026-11-26', '2026-12-24', '2026-12-25', '2026-12-31', '2027-01-01'],
+        // Meeting length, in milliseconds
+        slotDuration: 30 * 60 * 1000,
+        // Earliest a call can be booked, in milliseconds from now
+        minNotice: 24 * 60 * 60 * 1000,
+        // How far ahead the calendar goes
+        daysAhead: 30,
+        // Written into the invite, e.g. a video call link
+        location: null,
+        filename: 'catalyst-call.ics'
+    }
+};
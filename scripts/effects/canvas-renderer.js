@@ -0,0 +1,326 @@
+/**
+ * CATALYST - ENTERPRISE INTELLIGENCE SOLUTIONS
+ * Canvas renderer shared by every background effect
+ *
+ * ParticleSystem, FloatingDotsBackground and ShapeFormingParticleSystem all
+ * draw into one fixed, full-viewport <canvas> instead of animating DOM
+ * nodes. Where the browser supports it the canvas is transferred to a
+ * module worker (OffscreenCanvas) so drawing never competes with layout;
+ * otherwise the same RenderEngine runs on the main thread.
+ *
+ * Effects talk to their layer through the handle returned by addLayer():
+ *
+ *   const layer = getRenderer().addLayer('floating-dots', { maxDots: 25 });
+ *   layer.track(element, 'bounds');  // keep the layer aligned with an element
+ *   layer.post('spawn');
+ *   layer.post('pause');             // freeze; the loop idles once all layers are paused
+ *   layer.remove();
+ *
+ * A layer that throws is removed on its own and a `renderer:error` event
+ * ({ id, type, error }) is dispatched on document. Frame times from the
+ * engine, wherever it runs, arrive as `renderer:frames` ({ total, count },
+ * in milliseconds) for the PerformanceGovernor.
+ */
+
+import { RenderEngine } from './render-engine.js';
+import { throttle } from '../utils.js';
+
+// Cap the backing store; beyond 2x the extra pixels aren't worth the fill cost
+const MAX_PIXEL_RATIO = 2;
+
+let sharedRenderer = null;
+
+function supportsCanvas() {
+    const canvas = document.createElement('canvas');
+    return !!(canvas.getContext && canvas.getContext('2d'));
+}
+
+function supportsOffscreenWorker() {
+    if (typeof Worker === 'undefined' || typeof OffscreenCanvas === 'undefined') return false;
+    if (!('transferControlToOffscreen' in HTMLCanvasElement.prototype)) return false;
+
+    // Browsers without module workers never read the `type` option
+    let supportsModules = false;
+    try {
+        const tester = {
+            get type() {
+                supportsModules = true;
+                return 'module';
+            }
+        };
+        new Worker('data:,', tester).terminate();
+    } catch (error) {
+        // Constructing the probe may throw; the getter has already run if supported
+    }
+    return supportsModules;
+}
+
+class LayerHandle {
+    constructor(renderer, id) {
+        this.renderer = renderer;
+        this.id = id;
+    }
+
+    post(command, data) {
+        this.renderer.post(this.id, command, data);
+    }
+
+    /**
+     * Send `command` with the element's viewport rect now and whenever
+     * scrolling or resizing moves it
+     */
+    track(element, command = 'bounds') {
+        this.renderer.track(this.id, element, command);
+    }
+
+    remove() {
+        this.renderer.removeLayer(this.id);
+    }
+}
+
+export class CanvasRenderer {
+    constructor(options = {}) {
+        this.canvas = options.canvas || document.getElementById('effects-canvas') || this.createCanvas();
+        this.useWorker = options.useWorker !== false && supportsOffscreenWorker();
+        this.worker = null;
+        this.engine = null;
+
+        this.layers = new Map();
+        this.tracked = [];
+        this.nextId = 1;
+
+        this.handleResize = throttle(() => this.resize(), 100);
+        this.handleScroll = () => this.scheduleMeasure();
+        this.handleVisibilityChange = () => {
+            // No point drawing frames nobody can see
+            this.send({ type: document.hidden ? 'stop' : 'start' });
+        };
+        this.measureFrame = null;
+
+        this.init();
+    }
+
+    init() {
+        if (this.useWorker) {
+            try {
+                this.startWorker();
+            } catch (error) {
+                console.warn('Falling back to main-thread rendering:', error);
+                this.useWorker = false;
+            }
+        }
+
+        if (!this.useWorker) {
+            this.engine = this.createEngine(this.canvas);
+        }
+
+        this.bindEvents();
+        this.resize();
+
+        // A page opened in a background tab has nothing to draw yet
+        if (document.hidden) this.send({ type: 'stop' });
+    }
+
+    createEngine(canvas) {
+        return new RenderEngine(canvas, {
+            onLayerError: report => this.handleLayerError(report),
+            onFrameStats: stats => this.handleFrameStats(stats)
+        });
+    }
+
+    handleFrameStats({ total, count }) {
+        document.dispatchEvent(new CustomEvent('renderer:frames', {
+            detail: { total, count }
+        }));
+    }
+
+    /**
+     * The engine has already dropped the layer; forget it here too
+     */
+    handleLayerError({ id, type, message, stack }) {
+        this.layers.delete(id);
+        this.tracked = this.tracked.filter(entry => entry.id !== id);
+
+        // Errors from the worker arrive as plain data
+        const error = new Error(message);
+        error.stack = stack;
+
+        console.error(`Canvas layer "${type}" failed and was removed:`, error);
+        document.dispatchEvent(new CustomEvent('renderer:error', {
+            detail: { id, type, error }
+        }));
+    }
+
+    createCanvas() {
+        const canvas = document.createElement('canvas');
+        canvas.id = 'effects-canvas';
+        canvas.className = 'effects-canvas';
+        canvas.setAttribute('aria-hidden', 'true');
+        document.body.insertBefore(canvas, document.body.firstChild);
+        return canvas;
+    }
+
+    startWorker() {
+        const offscreen = this.canvas.transferControlToOffscreen();
+
+        this.worker = new Worker(new URL('./render-worker.js', import.meta.url), { type: 'module' });
+        this.worker.addEventListener('error', (e) => {
+            e.preventDefault();
+            this.fallbackToMainThread(e);
+        });
+        this.worker.addEventListener('message', (e) => {
+            if (e.data.type === 'layer-error') this.handleLayerError(e.data);
+            if (e.data.type === 'frame-stats') this.handleFrameStats(e.data);
+        });
+        this.worker.postMessage({ type: 'init', canvas: offscreen }, [offscreen]);
+    }
+
+    /**
+     * A transferred canvas can't be drawn from the page any more, so swap
+     * in a fresh element and replay the layers on a main-thread engine
+     */
+    fallbackToMainThread(reason) {
+        if (!this.worker) return;
+
+        console.warn('Render worker failed, drawing on the main thread instead:', reason.message || reason);
+
+        this.worker.terminate();
+        this.worker = null;
+        this.useWorker = false;
+
+        const canvas = this.canvas.cloneNode(false);
+        this.canvas.replaceWith(canvas);
+        this.canvas = canvas;
+        this.engine = this.createEngine(canvas);
+        if (document.hidden) this.send({ type: 'stop' });
+
+        this.resize();
+        this.layers.forEach((layer, id) => {
+            this.send({ type: 'add', id, layerType: layer.type, options: layer.options });
+        });
+        this.measure(true);
+    }
+
+    bindEvents() {
+        window.addEventListener('resize', this.handleResize);
+        window.addEventListener('scroll', this.handleScroll, { passive: true });
+        document.addEventListener('visibilitychange', this.handleVisibilityChange);
+    }
+
+    send(message) {
+        if (this.worker) {
+            this.worker.postMessage(message);
+        } else if (this.engine) {
+            this.engine.handleMessage(message);
+        }
+    }
+
+    resize() {
+        this.send({
+            type: 'resize',
+            width: window.innerWidth,
+            height: window.innerHeight,
+            dpr: Math.min(window.devicePixelRatio || 1, MAX_PIXEL_RATIO)
+        });
+        this.measure(true);
+    }
+
+    addLayer(type, options = {}) {
+        const id = this.nextId++;
+        this.layers.set(id, { type, options });
+        this.send({ type: 'add', id, layerType: type, options });
+        return new LayerHandle(this, id);
+    }
+
+    post(id, command, data) {
+        if (!this.layers.has(id)) return;
+        this.send({ type: 'post', id, command, data });
+    }
+
+    removeLayer(id) {
+        if (!this.layers.has(id)) return;
+
+        this.layers.delete(id);
+        this.tracked = this.tracked.filter(entry => entry.id !== id);
+        this.send({ type: 'remove', id });
+    }
+
+    track(id, element, command) {
+        if (!element) return;
+
+        const entry = { id, element, command, rect: null };
+        this.tracked.push(entry);
+        this.measureEntry(entry, true);
+    }
+
+    scheduleMeasure() {
+        if (this.measureFrame || !this.tracked.length) return;
+
+        this.measureFrame = requestAnimationFrame(() => {
+            this.measureFrame = null;
+            this.measure(false);
+        });
+    }
+
+    measure(force) {
+        this.tracked.forEach(entry => this.measureEntry(entry, force));
+    }
+
+    measureEntry(entry, force) {
+        const rect = entry.element.getBoundingClientRect();
+        const previous = entry.rect;
+
+        if (!force && previous &&
+            previous.x === rect.left && previous.y === rect.top &&
+            previous.width === rect.width && previous.height === rect.height) {
+            return;
+        }
+
+        entry.rect = { x: rect.left, y: rect.top, width: rect.width, height: rect.height };
+        this.post(entry.id, entry.command, entry.rect);
+    }
+
+    destroy() {
+        window.removeEventListener('resize', this.handleResize);
+        window.removeEventListener('scroll', this.handleScroll);
+        document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+
+        if (this.measureFrame) {
+            cancelAnimationFrame(this.measureFrame);
+            this.measureFrame = null;
+        }
+
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+
+            // The transferred element is unusable now; leave a clean one behind
+            const canvas = this.canvas.cloneNode(false);
+            this.canvas.replaceWith(canvas);
+            this.canvas = canvas;
+        }
+        if (this.engine) {
+            this.engine.stop();
+            this.engine.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+            this.engine = null;
+        }
+
+        this.layers.clear();
+        this.tracked = [];
+
+        if (sharedRenderer === this) {
+            sharedRenderer = null;
+        }
+    }
+}
+
+/**
+ * The renderer every effect on the page shares, created on first use.
+ * Returns null where canvas isn't available.
+ */
+export function getRenderer() {
+    if (!sharedRenderer && supportsCanvas()) {
+        sharedRenderer = new CanvasRenderer();
+    }
+    return sharedRenderer;
+}
@@ -0,0 +1,77 @@
+/**
+ * CATALYST - ENTERPRISE INTELLIGENCE SOLUTIONS
+ * Easing and interpolation helpers for the canvas layers
+ *
+ * Kept free of DOM access so the layers can run inside a worker.
+ */
+
+/**
+ * Build a CSS-style cubic-bezier timing function
+ */
+export function cubicBezier(x1, y1, x2, y2) {
+    const cx = 3 * x1;
+    const bx = 3 * (x2 - x1) - cx;
+    const ax = 1 - cx - bx;
+    const cy = 3 * y1;
+    const by = 3 * (y2 - y1) - cy;
+    const ay = 1 - cy - by;
+
+    const sampleX = t => ((ax * t + bx) * t + cx) * t;
+    const sampleY = t => ((ay * t + by) * t + cy) * t;
+    const sampleDerivativeX = t => (3 * ax * t + 2 * bx) * t + cx;
+
+    return function(x) {
+        if (x <= 0) return 0;
+        if (x >= 1) return 1;
+
+        // Newton-Raphson is plenty for animation timing
+        let t = x;
+        for (let i = 0; i < 6; i++) {
+            const error = sampleX(t) - x;
+            const slope = sampleDerivativeX(t);
+            if (Math.abs(error) < 1e-4 || Math.abs(slope) < 1e-6) break;
+            t -= error / slope;
+        }
+
+        return sampleY(Math.min(1, Math.max(0, t)));
+    };
+}
+
+export const EASINGS = {
+    linear: t => t,
+    standard: cubicBezier(0.4, 0, 0.2, 1),
+    easeOut: cubicBezier(0, 0, 0.58, 1),
+    easeInOut: cubicBezier(0.42, 0, 0.58, 1)
+};
+
+export function lerp(from, to, t) {
+    return from + (to - from) * t;
+}
+
+export function clamp(value, min, max) {
+    return Math.min(max, Math.max(min, value));
+}
+
+/**
+ * Interpolate through Web Animations-style keyframes. Each keyframe has an
+ * `offset` between 0 and 1 and any number of numeric properties.
+ */
+export function sampleKeyframes(keyframes, progress) {
+    let index = 1;
+    while (index < keyframes.length - 1 && keyframes[index].offset < progress) {
+        index++;
+    }
+
+    const from = keyframes[index - 1];
+    const to = keyframes[index];
+    const span = to.offset - from.offset;
+    const local = span > 0 ? clamp((progress - from.offset) / span, 0, 1) : 1;
+
+    const result = {};
+    Object.keys(to).forEach(key => {
+        if (key !== 'offset') {
+            result[key] = lerp(from[key], to[key], local);
+        }
+    });
+    return result;
+}
@@ -0,0 +1,130 @@
+/**
+ * CATALYST - ENTERPRISE INTELLIGENCE SOLUTIONS
+ * Floating dots layer: soft glowing dots that rise up the page
+ */
+
+import { Layer, createSprite, weightedRandom } from './layer.js';
+
+// Sprites are drawn at this multiple of their CSS size to stay crisp
+const SPRITE_SCALE = 2;
+
+export class FloatingDotsLayer extends Layer {
+    constructor(options = {}) {
+        super(options);
+        this.dots = [];
+        this.sprites = new Map();
+    }
+
+    handle(command, data) {
+        switch (command) {
+            case 'spawn':
+                this.spawn(data);
+                break;
+            case 'remove':
+                this.dots = this.dots.filter(dot => dot.id !== data);
+                break;
+            case 'max':
+                this.options.maxDots = data;
+                break;
+            case 'clear':
+                this.dots = [];
+                break;
+            case 'colors':
+                this.setColors(data);
+                break;
+            default:
+                super.handle(command, data);
+        }
+    }
+
+    /**
+     * @param {Object} [dot] - { id, size, duration, delay } as chosen by
+     *   FloatingDotsBackground (size by name, times in ms); anything left
+     *   out is picked here
+     */
+    spawn({ id = null, size: sizeName, duration, delay } = {}) {
+        if (this.dots.length >= this.options.maxDots) return;
+
+        const { sizes, colors } = this.options;
+        const size = sizes.find(entry => entry.name === sizeName) || weightedRandom(sizes, sizes.map(entry => entry.weight));
+        const colorIndex = Math.floor(Math.random() * colors.length);
+
+        // Slight variation in animation duration (±15%)
+        const variation = (Math.random() - 0.5) * 0.3;
+
+        this.dots.push({
+            id: id,
+            x: Math.random() * this.viewport.width,
+            driftX: (Math.random() - 0.5) * 200,
+            size: size.size,
+            colorIndex: colorIndex,
+            sprite: this.getSprite(size.size, colors[colorIndex]),
+            duration: duration ?? size.duration * (1 + variation) * 1000,
+            delay: delay ?? Math.random() * 2000,
+            age: 0
+        });
+    }
+
+    setColors(colors) {
+        this.options.colors = colors;
+        this.sprites.clear();
+        this.dots.forEach(dot => {
+            dot.sprite = this.getSprite(dot.size, colors[dot.colorIndex % colors.length]);
+        });
+    }
+
+    /**
+     * Radial gradient matching the old `.floating-dot` background: the
+     * colour fading to 20% opacity halfway out, then to transparent.
+     */
+    getSprite(size, color) {
+        const key = `${size}|${color}`;
+        if (this.sprites.has(key)) return this.sprites.get(key);
+
+        const pixels = Math.ceil(size * SPRITE_SCALE);
+        const sprite = createSprite(pixels, pixels);
+        const ctx = sprite.getContext('2d');
+        const center = pixels / 2;
+        const gradient = ctx.createRadialGradient(center, center, 0, center, center, center * Math.SQRT2);
+
+        gradient.addColorStop(0, color);
+        gradient.addColorStop(0.5, color.replace(/[\d.]+\)$/, '0.2)'));
+        gradient.addColorStop(1, 'rgba(0, 0, 0, 0)');
+
+        ctx.fillStyle = gradient;
+        ctx.beginPath();
+        ctx.arc(center, center, center, 0, Math.PI * 2);
+        ctx.fill();
+
+        this.sprites.set(key, sprite);
+        return sprite;
+    }
+
+    update(dt) {
+        this.dots.forEach(dot => {
+            dot.age += dt;
+        });
+        this.dots = this.dots.filter(dot => dot.age < dot.delay + dot.duration);
+    }
+
+    draw(ctx) {
+        const { height } = this.viewport;
+
+        this.dots.forEach(dot => {
+            if (dot.age < dot.delay) return;
+
+            const progress = (dot.age - dot.delay) / dot.duration;
+
+            // Rise from the bottom edge to 20% above the top, fading in and
+            // out over the first and last 10% of the journey
+            const x = dot.x + dot.driftX * progress;
+            const y = height - height * 1.2 * progress;
+            let opacity = 1;
+            if (progress < 0.1) opacity = progress / 0.1;
+            else if (progress > 0.9) opacity = (1 - progress) / 0.1;
+
+            ctx.globalAlpha = opacity;
+            ctx.drawImage(dot.sprite, x - dot.size / 2, y - dot.size / 2, dot.size, dot.size);
+        });
+    }
+}
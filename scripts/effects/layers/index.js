@@ -0,0 +1,14 @@
+/**
+ * CATALYST - ENTERPRISE INTELLIGENCE SOLUTIONS
+ * Layer types known to the render engine, by name
+ */
+
+import { ParticleFieldLayer } from './particle-field-layer.js';
+import { FloatingDotsLayer } from './floating-dots-layer.js';
+import { ShapeParticlesLayer } from './shape-particles-layer.js';
+
+export const LAYER_TYPES = {
+    'particle-field': ParticleFieldLayer,
+    'floating-dots': FloatingDotsLayer,
+    'shape-particles': ShapeParticlesLayer
+};
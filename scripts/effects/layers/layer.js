@@ -0,0 +1,80 @@
+/**
+ * CATALYST - ENTERPRISE INTELLIGENCE SOLUTIONS
+ * Base class for canvas layers
+ *
+ * A layer owns the state of one effect and draws it onto the shared
+ * context. Layers never touch the DOM: they receive plain-data commands
+ * through `handle()`, so the same code runs on the main thread or inside
+ * the render worker. A paused layer keeps drawing its last state but
+ * stops advancing.
+ */
+
+export class Layer {
+    constructor(options = {}) {
+        this.options = options;
+        this.order = options.order || 0;
+        this.viewport = { width: 0, height: 0, dpr: 1 };
+        this.bounds = options.bounds || null;
+        this.isPaused = false;
+    }
+
+    /**
+     * Area the layer draws into, in viewport pixels. Defaults to the whole
+     * viewport until a tracked element reports its bounds.
+     */
+    getArea() {
+        return this.bounds || { x: 0, y: 0, width: this.viewport.width, height: this.viewport.height };
+    }
+
+    resize(width, height, dpr) {
+        this.viewport = { width, height, dpr };
+    }
+
+    handle(command, data) {
+        switch (command) {
+            case 'bounds':
+                this.bounds = data;
+                break;
+            case 'pause':
+                this.isPaused = true;
+                break;
+            case 'resume':
+                this.isPaused = false;
+                break;
+        }
+    }
+
+    update() {}
+
+    draw() {}
+}
+
+/**
+ * Create a small scratch canvas for pre-rendered sprites
+ */
+export function createSprite(width, height) {
+    if (typeof OffscreenCanvas !== 'undefined') {
+        return new OffscreenCanvas(width, height);
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+}
+
+/**
+ * Pick an item using relative weights
+ */
+export function weightedRandom(items, weights) {
+    const sum = weights.reduce((a, b) => a + b, 0);
+    let random = Math.random() * sum;
+
+    for (let i = 0; i < items.length; i++) {
+        random -= weights[i];
+        if (random <= 0) {
+            return items[i];
+        }
+    }
+    return items[items.length - 1];
+}
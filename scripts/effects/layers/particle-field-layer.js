@@ -0,0 +1,143 @@
+/**
+ * CATALYST - ENTERPRISE INTELLIGENCE SOLUTIONS
+ * Particle field layer: drifting dots that bounce off the edges of their
+ * area and shy away from the pointer
+ */
+
+import { Layer } from './layer.js';
+import { random } from '../../utils.js';
+
+// Velocities are expressed per 60fps frame, as in the original DOM version
+const FRAME_TIME = 1000 / 60;
+
+export class ParticleFieldLayer extends Layer {
+    constructor(options = {}) {
+        super(options);
+        this.particles = [];
+        this.pointer = { x: -Infinity, y: -Infinity };
+    }
+
+    createParticles() {
+        const { count, speed, size } = this.options;
+        const area = this.getArea();
+
+        this.particles = [];
+        for (let i = 0; i < count; i++) {
+            this.particles.push({
+                x: random(0, area.width),
+                y: random(0, area.height),
+                vx: random(-speed, speed),
+                vy: random(-speed, speed),
+                size: random(size.min, size.max),
+                opacity: random(0.1, 0.5)
+            });
+        }
+    }
+
+    resize(width, height, dpr) {
+        const previous = this.getArea();
+        super.resize(width, height, dpr);
+        if (!this.bounds) this.fitToArea(previous);
+    }
+
+    handle(command, data) {
+        switch (command) {
+            case 'bounds': {
+                const previous = this.getArea();
+                this.bounds = data;
+
+                // Scrolling only moves the area; a size change needs a refit
+                if (data.width !== previous.width || data.height !== previous.height) {
+                    this.fitToArea(previous);
+                }
+                break;
+            }
+            case 'pointer':
+                this.pointer = data;
+                break;
+            case 'color':
+                this.options.color = data;
+                break;
+            case 'configure':
+                Object.assign(this.options, data);
+                this.createParticles();
+                break;
+            default:
+                super.handle(command, data);
+        }
+    }
+
+    /**
+     * Stretch the field to the current area so particles keep their
+     * relative spread instead of piling up along the edges
+     */
+    fitToArea(previous) {
+        const area = this.getArea();
+        if (!area.width || !area.height) return;
+
+        if (!this.particles.length || !previous || !previous.width || !previous.height) {
+            this.createParticles();
+            return;
+        }
+
+        const scaleX = area.width / previous.width;
+        const scaleY = area.height / previous.height;
+
+        this.particles.forEach(particle => {
+            particle.x *= scaleX;
+            particle.y *= scaleY;
+        });
+    }
+
+    update(dt) {
+        const area = this.getArea();
+        const steps = dt / FRAME_TIME;
+        const pointerX = this.pointer.x - area.x;
+        const pointerY = this.pointer.y - area.y;
+
+        this.particles.forEach(particle => {
+            // Update position
+            particle.x += particle.vx * steps;
+            particle.y += particle.vy * steps;
+
+            // Bounce off edges
+            if (particle.x <= 0 || particle.x >= area.width) {
+                particle.vx *= -1;
+                particle.x = Math.max(0, Math.min(area.width, particle.x));
+            }
+            if (particle.y <= 0 || particle.y >= area.height) {
+                particle.vy *= -1;
+                particle.y = Math.max(0, Math.min(area.height, particle.y));
+            }
+
+            // Pointer interaction
+            const dx = pointerX - particle.x;
+            const dy = pointerY - particle.y;
+            const distance = Math.sqrt(dx * dx + dy * dy);
+
+            if (distance < 100) {
+                const force = (100 - distance) / 100;
+                particle.vx -= dx * force * 0.01 * steps;
+                particle.vy -= dy * force * 0.01 * steps;
+            }
+        });
+    }
+
+    draw(ctx) {
+        const area = this.getArea();
+
+        ctx.beginPath();
+        ctx.rect(area.x, area.y, area.width, area.height);
+        ctx.clip();
+
+        ctx.translate(area.x, area.y);
+        ctx.fillStyle = this.options.color;
+
+        this.particles.forEach(particle => {
+            ctx.globalAlpha = particle.opacity;
+            ctx.beginPath();
+            ctx.arc(particle.x, particle.y, particle.size / 2, 0, Math.PI * 2);
+            ctx.fill();
+        });
+    }
+}
@@ -0,0 +1,258 @@
+/**
+ * CATALYST - ENTERPRISE INTELLIGENCE SOLUTIONS
+ * Shape particles layer: particles fly in from the viewport edges, gather
+ * on a shape's target points, pulse, and fade away on command
+ *
+ * Targets are given in the shape's viewBox coordinates (400×400 by
+ * default) and mapped onto the tracked `box` element, so particles line up
+ * with the SVG outline at any size or scroll position.
+ *
+ * The layer keeps its own clock, advanced by frame time. A `clock` command
+ * ({ time, rate }) sets it from an outside timeline, so pausing, seeking or
+ * speeding up the timeline carries over to the particles.
+ */
+
+import { Layer, createSprite } from './layer.js';
+import { EASINGS, clamp, lerp, sampleKeyframes } from '../easing.js';
+
+// Launches are staggered 100ms apart, squeezed so large shapes still
+// gather within this window
+const LAUNCH_WINDOW = 2400;
+const JOIN_DURATION = 800;
+const FADE_DURATION = 1000;
+const FADE_STAGGER = 30;
+
+// Sprites are rendered at the largest particle size and scaled down
+const SPRITE_SIZE = 12;
+
+export class ShapeParticlesLayer extends Layer {
+    constructor(options = {}) {
+        super(options);
+        this.time = 0;
+        this.rate = 1;
+        this.particles = [];
+        this.box = null;
+        this.sprites = new Map();
+    }
+
+    resize(width, height, dpr) {
+        // Sprites are rendered for a specific pixel ratio
+        if (dpr !== this.viewport.dpr) this.sprites.clear();
+        super.resize(width, height, dpr);
+    }
+
+    handle(command, data) {
+        switch (command) {
+            case 'box':
+                this.box = data;
+                break;
+            case 'form':
+                this.form(data);
+                break;
+            case 'fade':
+                this.fade();
+                break;
+            case 'clear':
+                this.particles = [];
+                break;
+            case 'colors':
+                this.setColors(data);
+                break;
+            case 'glow':
+                this.options.glow = data;
+                this.sprites.clear();
+                break;
+            case 'clock':
+                // A stopped clock lets the engine idle once nothing else moves
+                this.rate = data.rate;
+                this.isPaused = data.rate === 0;
+                this.advanceTo(data.time);
+                break;
+            default:
+                super.handle(command, data);
+        }
+    }
+
+    /**
+     * Queue particles for every target point, plus a few extras that land
+     * on random targets for a denser look
+     */
+    form({ positions, extras = 0 }) {
+        const stagger = Math.min(100, LAUNCH_WINDOW / positions.length);
+
+        positions.forEach((target, index) => {
+            this.addParticle(target, this.time + index * stagger + Math.random() * 200);
+        });
+
+        for (let i = 0; i < extras; i++) {
+            const target = positions[Math.floor(Math.random() * positions.length)];
+            this.addParticle(target, this.time + Math.random() * 2000 + 500);
+        }
+    }
+
+    addParticle(target, spawnAt) {
+        const { colors, size } = this.options;
+
+        this.particles.push({
+            target: target,
+            spawnAt: spawnAt,
+            start: null,
+            midOffset: {
+                x: (Math.random() - 0.5) * 200,
+                y: (Math.random() - 0.5) * 200
+            },
+            duration: 2000 + Math.random() * 1500,
+            size: size.min + Math.random() * (size.max - size.min),
+            colorIndex: Math.floor(Math.random() * colors.length),
+            fadeAt: null
+        });
+    }
+
+    setColors(colors) {
+        this.options.colors = colors;
+        this.sprites.clear();
+    }
+
+    fade() {
+        // Anything still waiting to launch is simply dropped
+        this.particles = this.particles.filter(particle => particle.start);
+        this.particles.forEach((particle, index) => {
+            particle.fadeAt = this.time + index * FADE_STAGGER;
+        });
+    }
+
+    /**
+     * Random point just outside one of the viewport edges
+     */
+    getEdgePoint() {
+        const { width, height } = this.viewport;
+
+        switch (Math.floor(Math.random() * 4)) {
+            case 0: return { x: Math.random() * width, y: -20 };
+            case 1: return { x: width + 20, y: Math.random() * height };
+            case 2: return { x: Math.random() * width, y: height + 20 };
+            default: return { x: -20, y: Math.random() * height };
+        }
+    }
+
+    getTargetPoint(target) {
+        const box = this.box || { x: 0, y: 0, width: this.viewport.width, height: this.viewport.width };
+        const scale = box.width / (this.options.viewBox || 400);
+        return {
+            x: box.x + target.x * scale,
+            y: box.y + target.y * scale
+        };
+    }
+
+    update(dt) {
+        this.advanceTo(this.time + dt * this.rate);
+    }
+
+    advanceTo(time) {
+        this.time = time;
+
+        this.particles.forEach(particle => {
+            if (!particle.start && this.time >= particle.spawnAt) {
+                particle.start = this.getEdgePoint();
+            }
+        });
+
+        this.particles = this.particles.filter(particle =>
+            particle.fadeAt === null || this.time < particle.fadeAt + FADE_DURATION
+        );
+    }
+
+    /**
+     * Position, opacity and scale of a particle at the current time
+     */
+    getState(particle) {
+        const { start, midOffset } = particle;
+        const target = this.getTargetPoint(particle.target);
+        const elapsed = this.time - particle.spawnAt;
+
+        let x;
+        let y;
+        let opacity;
+        let scale = 1;
+
+        if (elapsed < particle.duration) {
+            // Fly in through a randomised waypoint
+            const progress = EASINGS.standard(elapsed / particle.duration);
+            const mid = {
+                x: (start.x + target.x) / 2 + midOffset.x,
+                y: (start.y + target.y) / 2 + midOffset.y
+            };
+            const keyframes = [
+                { offset: 0, x: start.x, y: start.y, opacity: 0 },
+                { offset: 0.15, x: lerp(start.x, mid.x, 0.3), y: lerp(start.y, mid.y, 0.3), opacity: 1 },
+                { offset: 0.5, x: mid.x, y: mid.y, opacity: 1 },
+                { offset: 0.85, x: lerp(start.x, target.x, 0.9), y: lerp(start.y, target.y, 0.9), opacity: 1 },
+                { offset: 1, x: target.x, y: target.y, opacity: 0.9 }
+            ];
+            ({ x, y, opacity } = sampleKeyframes(keyframes, progress));
+        } else {
+            // Join the shape with a short pulse, then hold
+            const join = EASINGS.easeOut(clamp((elapsed - particle.duration) / JOIN_DURATION, 0, 1));
+            x = target.x;
+            y = target.y;
+            if (join < 0.5) {
+                scale = lerp(1, 1.2, join * 2);
+                opacity = lerp(0.9, 1, join * 2);
+            } else {
+                scale = lerp(1.2, 0.9, (join - 0.5) * 2);
+                opacity = lerp(1, 0.8, (join - 0.5) * 2);
+            }
+        }
+
+        if (particle.fadeAt !== null && this.time >= particle.fadeAt) {
+            const fade = EASINGS.easeOut(clamp((this.time - particle.fadeAt) / FADE_DURATION, 0, 1));
+            opacity = lerp(opacity, 0, fade);
+            scale *= lerp(1, 0.3, fade);
+        }
+
+        return { x, y, opacity, scale };
+    }
+
+    getSprite(color) {
+        if (this.sprites.has(color)) return this.sprites.get(color);
+
+        const glow = this.options.glow;
+        const dpr = this.viewport.dpr || 1;
+        const pixels = Math.ceil((SPRITE_SIZE + glow * 4) * dpr);
+        const sprite = createSprite(pixels, pixels);
+        const ctx = sprite.getContext('2d');
+
+        ctx.scale(dpr, dpr);
+        ctx.shadowColor = color;
+        ctx.shadowBlur = glow;
+        ctx.fillStyle = color;
+        ctx.beginPath();
+        ctx.arc(pixels / dpr / 2, pixels / dpr / 2, SPRITE_SIZE / 2, 0, Math.PI * 2);
+        ctx.fill();
+
+        this.sprites.set(color, sprite);
+        return sprite;
+    }
+
+    draw(ctx) {
+        if (this.bounds) {
+            ctx.beginPath();
+            ctx.rect(this.bounds.x, this.bounds.y, this.bounds.width, this.bounds.height);
+            ctx.clip();
+        }
+
+        this.particles.forEach(particle => {
+            if (!particle.start) return;
+
+            const state = this.getState(particle);
+            if (state.opacity <= 0) return;
+
+            const { colors } = this.options;
+            const sprite = this.getSprite(colors[particle.colorIndex % colors.length]);
+            const size = (sprite.width / (this.viewport.dpr || 1)) * (particle.size / SPRITE_SIZE) * state.scale;
+
+            ctx.globalAlpha = state.opacity;
+            ctx.drawImage(sprite, state.x - size / 2, state.y - size / 2, size, size);
+        });
+    }
+}
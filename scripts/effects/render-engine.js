@@ -0,0 +1,220 @@
+/**
+ * CATALYST - ENTERPRISE INTELLIGENCE SOLUTIONS
+ * Render engine: one animation loop drawing every layer onto one canvas
+ *
+ * The engine is driven entirely by plain-data messages (see
+ * handleMessage), which lets CanvasRenderer run it either in the page or
+ * inside render-worker.js with an OffscreenCanvas. A layer that throws is
+ * dropped and passed to `onLayerError`; the others keep drawing. Frame
+ * times are summed up and passed to `onFrameStats` about once a second.
+ * After a 'stop' message (the tab was hidden) nothing restarts the loop
+ * until a 'start' message arrives.
+ */
+
+import { LAYER_TYPES } from './layers/index.js';
+
+// Longest step a single frame may take, so a throttled tab doesn't jump
+const MAX_FRAME_TIME = 100;
+
+// Longer gaps are the tab being in the background, not slow drawing
+const MAX_FRAME_GAP = 250;
+
+// How much frame time to collect before reporting it
+const STATS_INTERVAL = 1000;
+
+const raf = typeof requestAnimationFrame === 'function'
+    ? (callback) => requestAnimationFrame(callback)
+    : (callback) => setTimeout(() => callback(performance.now()), 1000 / 60);
+
+const caf = typeof cancelAnimationFrame === 'function'
+    ? (id) => cancelAnimationFrame(id)
+    : (id) => clearTimeout(id);
+
+export class RenderEngine {
+    /**
+     * @param {HTMLCanvasElement|OffscreenCanvas} canvas
+     * @param {Object} [options]
+     * @param {Function} [options.onLayerError] - Called with { id, type, message, stack }
+     * @param {Function} [options.onFrameStats] - Called with { total, count }: milliseconds
+     *   spent over `count` frames
+     */
+    constructor(canvas, options = {}) {
+        this.canvas = canvas;
+        this.onLayerError = options.onLayerError || null;
+        this.onFrameStats = options.onFrameStats || null;
+        this.stats = { total: 0, count: 0 };
+        this.ctx = canvas.getContext('2d');
+        this.layers = new Map();
+        this.ordered = [];
+        this.viewport = { width: 0, height: 0, dpr: 1 };
+
+        this.isRunning = false;
+        this.isStopped = false;
+        this.frameId = null;
+        this.lastTime = 0;
+        this.frame = (now) => this.render(now);
+    }
+
+    handleMessage(message) {
+        switch (message.type) {
+            case 'resize':
+                this.resize(message.width, message.height, message.dpr);
+                break;
+            case 'add':
+                this.addLayer(message.id, message.layerType, message.options);
+                break;
+            case 'post': {
+                const layer = this.layers.get(message.id);
+                if (layer) {
+                    this.runLayer(layer, () => layer.handle(message.command, message.data));
+                    // 'resume' and 'clock' can unpause a layer while the loop rests
+                    if (!this.isStopped && this.ordered.some(active => !active.isPaused)) this.start();
+                }
+                break;
+            }
+            case 'remove':
+                this.removeLayer(message.id);
+                break;
+            case 'start':
+                this.isStopped = false;
+                this.start();
+                break;
+            case 'stop':
+                this.isStopped = true;
+                this.stop();
+                break;
+        }
+    }
+
+    resize(width, height, dpr = 1) {
+        this.viewport = { width, height, dpr };
+        this.canvas.width = Math.round(width * dpr);
+        this.canvas.height = Math.round(height * dpr);
+        this.ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+
+        this.layers.forEach(layer => this.runLayer(layer, () => layer.resize(width, height, dpr)));
+    }
+
+    addLayer(id, type, options) {
+        const LayerType = LAYER_TYPES[type];
+        if (!LayerType) {
+            throw new Error(`Unknown layer type: ${type}`);
+        }
+
+        const layer = new LayerType(options);
+        layer.id = id;
+        layer.type = type;
+
+        this.layers.set(id, layer);
+        this.sortLayers();
+
+        if (this.runLayer(layer, () => layer.resize(this.viewport.width, this.viewport.height, this.viewport.dpr)) && !this.isStopped) {
+            this.start();
+        }
+    }
+
+    /**
+     * Run `task` for one layer, dropping the layer if it throws
+     *
+     * @returns {boolean} Whether the layer is still there
+     */
+    runLayer(layer, task) {
+        try {
+            task();
+            return true;
+        } catch (error) {
+            this.removeLayer(layer.id);
+
+            if (this.onLayerError) {
+                this.onLayerError({ id: layer.id, type: layer.type, message: error.message, stack: error.stack || '' });
+            } else {
+                console.error(`Canvas layer "${layer.type}" failed and was removed:`, error);
+            }
+            return false;
+        }
+    }
+
+    removeLayer(id) {
+        this.layers.delete(id);
+        this.sortLayers();
+
+        if (!this.layers.size) {
+            this.stop();
+            this.ctx.clearRect(0, 0, this.viewport.width, this.viewport.height);
+        }
+    }
+
+    sortLayers() {
+        this.ordered = Array.from(this.layers.values()).sort((a, b) => a.order - b.order);
+    }
+
+    start() {
+        if (this.isRunning) return;
+
+        this.isRunning = true;
+        this.lastTime = 0;
+        this.frameId = raf(this.frame);
+    }
+
+    stop() {
+        this.isRunning = false;
+        if (this.frameId !== null) {
+            caf(this.frameId);
+            this.frameId = null;
+        }
+    }
+
+    /**
+     * Advance every layer by `dt` milliseconds and redraw
+     */
+    step(dt) {
+        const { ctx } = this;
+
+        ctx.clearRect(0, 0, this.viewport.width, this.viewport.height);
+
+        // A copy, since a failing layer is removed from `ordered`
+        this.ordered.slice().forEach(layer => {
+            ctx.save();
+            this.runLayer(layer, () => {
+                if (!layer.isPaused) layer.update(dt);
+                layer.draw(ctx);
+            });
+            ctx.restore();
+        });
+    }
+
+    render(now) {
+        if (!this.isRunning) return;
+
+        if (this.lastTime) this.recordFrame(now - this.lastTime);
+
+        const dt = this.lastTime ? Math.min(now - this.lastTime, MAX_FRAME_TIME) : 1000 / 60;
+        this.lastTime = now;
+
+        this.step(dt);
+
+        // Every layer may have failed during the step
+        if (!this.isRunning) return;
+
+        // Nothing will change until a layer resumes, so let the loop rest
+        if (this.ordered.every(layer => layer.isPaused)) {
+            this.isRunning = false;
+            this.frameId = null;
+            return;
+        }
+
+        this.frameId = raf(this.frame);
+    }
+
+    recordFrame(gap) {
+        if (!this.onFrameStats || gap >= MAX_FRAME_GAP) return;
+
+        this.stats.total += gap;
+        this.stats.count++;
+
+        if (this.stats.total >= STATS_INTERVAL) {
+            this.onFrameStats(this.stats);
+            this.stats = { total: 0, count: 0 };
+        }
+    }
+}
@@ -0,0 +1,26 @@
+/**
+ * CATALYST - ENTERPRISE INTELLIGENCE SOLUTIONS
+ * Render worker: runs the RenderEngine against an OffscreenCanvas handed
+ * over by CanvasRenderer, so drawing stays off the main thread
+ */
+
+import { RenderEngine } from './render-engine.js';
+
+let engine = null;
+
+self.addEventListener('message', (e) => {
+    const message = e.data;
+
+    if (message.type === 'init') {
+        // Layer failures and frame times are reported back to CanvasRenderer
+        engine = new RenderEngine(message.canvas, {
+            onLayerError: report => self.postMessage({ type: 'layer-error', ...report }),
+            onFrameStats: stats => self.postMessage({ type: 'frame-stats', ...stats })
+        });
+        return;
+    }
+
+    if (engine) {
+        engine.handleMessage(message);
+    }
+});
@@ -0,0 +1,156 @@
+/**
+ * CATALYST - ENTERPRISE INTELLIGENCE SOLUTIONS
+ * Shape library for the shape-forming particles
+ *
+ * A shape is described once, in viewBox coordinates, and both the particle
+ * targets and the revealed SVG outline are derived from that description:
+ *
+ *   { name: 'wave', path: 'M40,200 C120,100 280,300 360,200' }
+ *   { name: 'logo', text: 'CATALYST', count: 48 }
+ *   { name: 'mark', image: 'images/mark.png', threshold: 64 }
+ *
+ * `count` sets the number of target points (CONFIG.shapes.count by
+ * default). Sampled shapes are cached after first use.
+ */
+
+import { CONFIG } from '../config.js';
+import { samplePath, sampleText, sampleImage, fitFont } from './shape-sampler.js';
+
+const OUTLINE_ATTRIBUTES = 'fill="none" stroke-dasharray="8,8"';
+// Set as a style so the stroke follows the theme's effect colour
+const OUTLINE_STROKE = 'stroke: var(--effect-primary, #FFD700)';
+const OUTLINE_ANIMATION = '<animate attributeName="stroke-dashoffset" values="0;-16" dur="2s" repeatCount="indefinite"/>';
+
+/**
+ * Archimedean spiral around the centre of the box, as path data
+ */
+function spiralPath(turns = 3, innerRadius = 20, outerRadius = 90, segments = 72) {
+    const commands = [];
+    for (let i = 0; i <= segments; i++) {
+        const t = i / segments;
+        const angle = t * turns * 2 * Math.PI;
+        const radius = innerRadius + t * (outerRadius - innerRadius);
+        const x = (200 + radius * Math.cos(angle)).toFixed(1);
+        const y = (200 + radius * Math.sin(angle)).toFixed(1);
+        commands.push(`${i ? 'L' : 'M'}${x},${y}`);
+    }
+    return commands.join(' ');
+}
+
+export const DEFAULT_SHAPES = [
+    {
+        name: 'heart',
+        path: 'M200,300 C200,300 120,200 120,150 C120,125 145,100 170,100 C195,100 200,125 200,150 C200,125 205,100 230,100 C255,100 280,125 280,150 C280,200 200,300 200,300 Z'
+    },
+    {
+        name: 'circle',
+        path: 'M290,200 A90,90 0 1,1 110,200 A90,90 0 1,1 290,200 Z'
+    },
+    {
+        name: 'star',
+        path: 'M200,80 L213,130 L270,130 L225,165 L238,215 L200,185 L162,215 L175,165 L130,130 L187,130 Z'
+    },
+    {
+        name: 'diamond',
+        path: 'M200,100 L280,200 L200,300 L120,200 Z'
+    },
+    {
+        name: 'spiral',
+        path: spiralPath()
+    },
+    {
+        name: 'logo',
+        text: 'CATALYST',
+        count: 48
+    }
+];
+
+function escapeMarkup(value) {
+    return String(value).replace(/[&<>"]/g, char => ({
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;'
+    })[char]);
+}
+
+export class ShapeLibrary {
+    /**
+     * @param {Array<Object>} [shapes] - Shape descriptions, see above
+     * @param {Object} [options] - Overrides for CONFIG.shapes
+     */
+    constructor(shapes = DEFAULT_SHAPES, options = {}) {
+        this.options = { ...CONFIG.shapes, ...options };
+        this.shapes = [];
+        this.cache = new Map();
+
+        shapes.forEach(shape => this.add(shape));
+    }
+
+    get size() {
+        return this.shapes.length;
+    }
+
+    add(shape) {
+        if (!shape || !shape.name) {
+            throw new Error('Shapes need a name');
+        }
+        if (!shape.path && !shape.text && !shape.image) {
+            throw new Error(`Shape "${shape.name}" needs a path, text or image`);
+        }
+
+        this.shapes.push(shape);
+        return this;
+    }
+
+    /**
+     * Sample the shape at `index` into { name, positions, svg }
+     *
+     * @returns {Promise<Object>}
+     */
+    resolve(index) {
+        const shape = this.shapes[index];
+        if (!shape) {
+            return Promise.reject(new Error(`No shape at index ${index}`));
+        }
+
+        if (!this.cache.has(shape)) {
+            const pending = this.sample(shape).catch(error => {
+                // Let a failed image load be retried on the next cycle
+                this.cache.delete(shape);
+                throw error;
+            });
+            this.cache.set(shape, pending);
+        }
+        return this.cache.get(shape);
+    }
+
+    async sample(shape) {
+        const count = shape.count || this.options.count;
+        const size = this.options.viewBox;
+
+        if (shape.path) {
+            return {
+                name: shape.name,
+                positions: samplePath(shape.path, count),
+                svg: `<path d="${escapeMarkup(shape.path)}" ${OUTLINE_ATTRIBUTES} stroke-width="4" style="${OUTLINE_STROKE}">${OUTLINE_ANIMATION}</path>`
+            };
+        }
+
+        if (shape.text) {
+            const font = fitFont(shape.text, shape.font || this.options.font, size);
+            return {
+                name: shape.name,
+                positions: sampleText(shape.text, count, { font, size }),
+                svg: `<text x="${size / 2}" y="${size / 2}" text-anchor="middle" dominant-baseline="central"
+                      ${OUTLINE_ATTRIBUTES} stroke-width="2" style="font: ${escapeMarkup(font)}; ${OUTLINE_STROKE}">${escapeMarkup(shape.text)}${OUTLINE_ANIMATION}</text>`
+            };
+        }
+
+        return {
+            name: shape.name,
+            positions: await sampleImage(shape.image, count, { size, threshold: shape.threshold }),
+            svg: `<image href="${escapeMarkup(shape.image)}" x="0" y="0" width="${size}" height="${size}" preserveAspectRatio="xMidYMid meet" opacity="0.6"/>`
+        };
+    }
+}
@@ -0,0 +1,179 @@
+/**
+ * CATALYST - ENTERPRISE INTELLIGENCE SOLUTIONS
+ * Shape sampler: turn an SVG path, a text string or an image mask into
+ * evenly spaced target points for the shape particles
+ *
+ * All points are in viewBox coordinates (0..size on both axes), the same
+ * space the formed-shape SVG and the shape-particles layer use.
+ */
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Pixels with at least this much alpha count as part of a mask
+const DEFAULT_THRESHOLD = 128;
+
+/**
+ * Points spaced evenly along an SVG path's length
+ *
+ * @param {string} d - Path data, in viewBox coordinates
+ * @param {number} count - Number of points to return
+ */
+export function samplePath(d, count) {
+    // Some engines only measure paths that are in the document
+    const svg = document.createElementNS(SVG_NS, 'svg');
+    svg.setAttribute('aria-hidden', 'true');
+    svg.style.cssText = 'position:absolute;width:0;height:0;overflow:hidden;visibility:hidden';
+
+    const path = document.createElementNS(SVG_NS, 'path');
+    path.setAttribute('d', d);
+    svg.appendChild(path);
+    document.body.appendChild(svg);
+
+    try {
+        if (typeof path.getTotalLength !== 'function') {
+            throw new Error('SVG path measurement is not supported');
+        }
+
+        const length = path.getTotalLength();
+        if (!length) {
+            throw new Error(`Path has no length: ${d}`);
+        }
+
+        // A closed path would put its first and last point on top of each other
+        const isClosed = /z\s*$/i.test(d.trim());
+        const gaps = isClosed || count < 2 ? count : count - 1;
+
+        return Array.from({ length: count }, (_, i) => {
+            const point = path.getPointAtLength((i / gaps) * length);
+            return { x: point.x, y: point.y };
+        });
+    } finally {
+        svg.remove();
+    }
+}
+
+/**
+ * Points spread over the glyphs of a text string
+ *
+ * @param {string} text
+ * @param {number} count
+ * @param {Object} [options]
+ * @param {number} [options.size=400] - ViewBox size
+ * @param {string} [options.font] - CSS font; the size is fitted to the box
+ */
+export function sampleText(text, count, options = {}) {
+    const size = options.size || 400;
+    const ctx = createScratchContext(size);
+
+    ctx.font = fitFont(text, options.font, size, ctx);
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillStyle = '#000';
+    ctx.fillText(text, size / 2, size / 2);
+
+    return scanMask(ctx, size, count, DEFAULT_THRESHOLD);
+}
+
+/**
+ * CSS font with its size adjusted so `text` spans 90% of the box, capped
+ * at 60% of the box height. Use the same font for the SVG outline so it
+ * matches the sampled points.
+ *
+ * @param {string} text
+ * @param {string} [font] - CSS font shorthand with a px size
+ * @param {number} [size=400] - ViewBox size
+ * @param {CanvasRenderingContext2D} [ctx] - Context to measure with
+ */
+export function fitFont(text, font = '800 100px Poppins, sans-serif', size = 400, ctx = createScratchContext(1)) {
+    ctx.font = font;
+    const reference = parseFloat(ctx.font.match(/(\d+(\.\d+)?)px/)?.[1]) || 100;
+    const measured = ctx.measureText(text).width || reference;
+    const fontSize = Math.min(size * 0.9 / measured * reference, size * 0.6);
+
+    return font.replace(/\d+(\.\d+)?px/, `${Math.round(fontSize * 10) / 10}px`);
+}
+
+/**
+ * Points spread over the opaque pixels of an image, fitted into the box
+ *
+ * @param {string|HTMLImageElement} source - Image URL or loaded image
+ * @param {number} count
+ * @param {Object} [options]
+ * @param {number} [options.size=400] - ViewBox size
+ * @param {number} [options.threshold=128] - Minimum alpha (0-255)
+ * @returns {Promise<Array<{x: number, y: number}>>}
+ */
+export async function sampleImage(source, count, options = {}) {
+    const size = options.size || 400;
+    const image = typeof source === 'string' ? await loadImage(source) : source;
+    const ctx = createScratchContext(size);
+
+    const scale = Math.min(size / image.width, size / image.height);
+    const width = image.width * scale;
+    const height = image.height * scale;
+    ctx.drawImage(image, (size - width) / 2, (size - height) / 2, width, height);
+
+    return scanMask(ctx, size, count, options.threshold ?? DEFAULT_THRESHOLD);
+}
+
+function loadImage(src) {
+    return new Promise((resolve, reject) => {
+        const image = new Image();
+        image.crossOrigin = 'anonymous';
+        image.onload = () => resolve(image);
+        image.onerror = () => reject(new Error(`Could not load shape image: ${src}`));
+        image.src = src;
+    });
+}
+
+function createScratchContext(size) {
+    const canvas = document.createElement('canvas');
+    canvas.width = size;
+    canvas.height = size;
+
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    if (!ctx) {
+        throw new Error('Canvas is not supported');
+    }
+    return ctx;
+}
+
+/**
+ * Pick `count` points on an even grid over the filled pixels of a canvas
+ */
+function scanMask(ctx, size, count, threshold) {
+    const { data } = ctx.getImageData(0, 0, size, size);
+    const isFilled = (x, y) => data[(y * size + x) * 4 + 3] >= threshold;
+
+    let filled = 0;
+    for (let i = 3; i < data.length; i += 4) {
+        if (data[i] >= threshold) filled++;
+    }
+    if (!filled) {
+        throw new Error('Shape mask is empty');
+    }
+
+    const scanGrid = (step) => {
+        const hits = [];
+        for (let y = Math.floor(step / 2); y < size; y += step) {
+            for (let x = Math.floor(step / 2); x < size; x += step) {
+                if (isFilled(x, y)) hits.push({ x, y });
+            }
+        }
+        return hits;
+    };
+
+    // Start from the spacing that would give `count` hits on a solid
+    // shape and tighten it until thin strokes yield enough points too
+    let step = Math.max(1, Math.floor(Math.sqrt(filled / count)));
+    let points = scanGrid(step);
+    while (points.length < count && step > 1) {
+        points = scanGrid(--step);
+    }
+
+    if (points.length <= count) return points;
+
+    // Thin the grid evenly rather than cutting off the bottom rows
+    const stride = points.length / count;
+    return Array.from({ length: count }, (_, i) => points[Math.floor(i * stride)]);
+}
@@ -0,0 +1,250 @@
+/**
+ * CATALYST - ENTERPRISE INTELLIGENCE SOLUTIONS
+ * Timeline: a pausable, seekable clock for scheduled steps and Web Animations
+ *
+ * Everything an effect would normally hand to setTimeout or element.animate
+ * goes through the timeline instead, so the whole sequence can be paused,
+ * sped up, scrubbed or cancelled as one:
+ *
+ *   const timeline = new Timeline();
+ *   timeline.schedule(4000, () => reveal());
+ *   timeline.animate(element, [{ opacity: 0 }, { opacity: 1 }], 300);
+ *   timeline.play();
+ *   timeline.pause();
+ *
+ * With `manual: true` the timeline never advances by itself; call step()
+ * to drive it frame by frame (handy in tests).
+ */
+
+export class Timeline {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.speed=1] - Playback rate
+     * @param {boolean} [options.manual=false] - Only advance through step()
+     */
+    constructor(options = {}) {
+        this.options = { speed: 1, manual: false, ...options };
+        this.speed = this.options.speed;
+        this.isPlaying = false;
+
+        this.baseTime = 0;
+        this.wallStart = 0;
+        this.firingAt = null;
+
+        this.entries = [];
+        this.animations = new Map();
+        this.listeners = new Set();
+        this.timerId = null;
+        this.nextId = 1;
+    }
+
+    /**
+     * Current timeline time in milliseconds
+     */
+    get time() {
+        // Work scheduled from inside a callback is timed from when that
+        // callback was due, so late timers never add up to drift
+        if (this.firingAt !== null) return this.firingAt;
+        if (!this.isPlaying || this.options.manual) return this.baseTime;
+        return this.baseTime + (performance.now() - this.wallStart) * this.speed;
+    }
+
+    // ==========================================================================
+    // SCHEDULING
+    // ==========================================================================
+
+    /**
+     * Run `callback` once `delay` ms of timeline time have passed
+     *
+     * @returns {number} id for cancel()
+     */
+    schedule(delay, callback) {
+        const entry = { id: this.nextId++, due: this.time + delay, callback };
+
+        // Keep entries sorted by due time; equal times run in schedule order
+        const index = this.entries.findIndex(other => other.due > entry.due);
+        if (index === -1) {
+            this.entries.push(entry);
+        } else {
+            this.entries.splice(index, 0, entry);
+        }
+
+        this.arm();
+        return entry.id;
+    }
+
+    cancel(id) {
+        this.entries = this.entries.filter(entry => entry.id !== id);
+        this.arm();
+    }
+
+    /**
+     * element.animate(), but paused, sped up and seeked with the timeline
+     */
+    animate(element, keyframes, options) {
+        if (typeof element.animate !== 'function') return null;
+        return this.add(element.animate(keyframes, options));
+    }
+
+    /**
+     * Take control of an existing Web Animation
+     */
+    add(animation) {
+        const startTime = this.time - (animation.currentTime || 0);
+        this.animations.set(animation, startTime);
+
+        const forget = () => this.animations.delete(animation);
+        animation.addEventListener('finish', forget);
+        animation.addEventListener('cancel', forget);
+
+        this.syncAnimation(animation, startTime);
+        return animation;
+    }
+
+    /**
+     * Drop every pending step and cancel every animation
+     */
+    clear() {
+        this.entries = [];
+        this.animations.forEach((startTime, animation) => animation.cancel());
+        this.animations.clear();
+        this.arm();
+    }
+
+    // ==========================================================================
+    // PLAYBACK
+    // ==========================================================================
+
+    play() {
+        if (this.isPlaying) return;
+
+        this.wallStart = performance.now();
+        this.isPlaying = true;
+        this.changed();
+    }
+
+    pause() {
+        if (!this.isPlaying) return;
+
+        this.baseTime = this.time;
+        this.isPlaying = false;
+        this.changed();
+    }
+
+    setSpeed(speed) {
+        if (speed <= 0) {
+            throw new RangeError('Timeline speed must be positive; use pause() to stop');
+        }
+
+        this.baseTime = this.time;
+        this.wallStart = performance.now();
+        this.speed = speed;
+        this.changed();
+    }
+
+    /**
+     * Jump to `time`. Moving forward runs every step due on the way, in
+     * order; moving back only rewinds the clock.
+     */
+    seek(time) {
+        this.runUntil(time);
+        this.baseTime = time;
+        this.wallStart = performance.now();
+        this.changed();
+    }
+
+    /**
+     * Advance by `dt` ms of timeline time, whether or not it is playing
+     */
+    step(dt) {
+        this.seek(this.time + dt);
+    }
+
+    /**
+     * { time, rate }, where rate is 0 while the clock stands still (paused,
+     * or manual and between steps)
+     */
+    getState() {
+        const running = this.isPlaying && !this.options.manual;
+        return { time: this.time, rate: running ? this.speed : 0 };
+    }
+
+    /**
+     * Be told whenever the clock is started, stopped, sped up or moved,
+     * and just before each scheduled step runs. Receives getState().
+     *
+     * @returns {Function} unsubscribe
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    destroy() {
+        this.clear();
+        this.pause();
+        this.listeners.clear();
+    }
+
+    // ==========================================================================
+    // INTERNALS
+    // ==========================================================================
+
+    runUntil(time) {
+        while (this.entries.length && this.entries[0].due <= time) {
+            const entry = this.entries.shift();
+
+            // Listeners see the clock at the step's due time before it runs
+            this.firingAt = entry.due;
+            this.notify();
+            try {
+                entry.callback();
+            } catch (error) {
+                console.error('Timeline step failed:', error);
+            } finally {
+                this.firingAt = null;
+            }
+        }
+    }
+
+    /**
+     * Keep one real timer pointed at the next due step while playing
+     */
+    arm() {
+        if (this.timerId !== null) {
+            clearTimeout(this.timerId);
+            this.timerId = null;
+        }
+        if (!this.isPlaying || this.options.manual || !this.entries.length) return;
+
+        const wait = Math.max(0, (this.entries[0].due - this.time) / this.speed);
+        this.timerId = setTimeout(() => {
+            this.timerId = null;
+            this.runUntil(this.time);
+            this.arm();
+        }, wait);
+    }
+
+    syncAnimation(animation, startTime) {
+        animation.playbackRate = this.speed;
+        animation.currentTime = Math.max(0, this.time - startTime);
+
+        if (this.isPlaying && !this.options.manual) {
+            animation.play();
+        } else {
+            animation.pause();
+        }
+    }
+
+    changed() {
+        this.animations.forEach((startTime, animation) => this.syncAnimation(animation, startTime));
+        this.arm();
+
+        this.notify();
+    }
+
+    notify() {
+        const state = this.getState();
+        this.listeners.forEach(listener => listener(state));
+    }
+}
@@ -0,0 +1,49 @@
+/**
+ * CATALYST - ENTERPRISE INTELLIGENCE SOLUTIONS
+ * Public module surface. Importing this file has no side effects; the page
+ * itself boots through main.js.
+ */
+
+export { CONFIG } from './config.js';
+export * from './utils.js';
+export { CatalystApp } from './app.js';
+
+export { TransportError, JsonTransport, MailtoTransport, createTransport } from './services/contact-transports.js';
+export { RulesAvailability, createAvailabilityProvider } from './services/availability.js';
+export { createCalendarInvite, downloadCalendarInvite } from './services/calendar-invite.js';
+export { SubmissionQueue } from './services/submission-queue.js';
+export { FormValidator } from './services/form-validator.js';
+export { SpamGuard } from './services/spam-guard.js';
+export { ThemeManager } from './services/theme-manager.js';
+export { PageMetadata } from './services/page-metadata.js';
+export { I18n, getI18n } from './services/i18n.js';
+export { ComponentRegistry, guarded } from './services/component-registry.js';
+export { RuntimeConfig, ConfigError, getRuntimeConfig } from './services/runtime-config.js';
+export { PerformanceGovernor, PERFORMANCE_TIERS, getPerformanceGovernor } from './services/performance-governor.js';
+export { ErrorReporter, getErrorReporter } from './services/error-reporter.js';
+export { ConsentManager } from './services/consent-manager.js';
+export { EventBus, getEventBus } from './services/event-bus.js';
+export { Analytics, BeaconAdapter, ConsoleAdapter, NoopAdapter, createAdapter } from './services/analytics.js';
+
+export { CanvasRenderer, getRenderer } from './effects/canvas-renderer.js';
+export { RenderEngine } from './effects/render-engine.js';
+export { Timeline } from './effects/timeline.js';
+export { ShapeLibrary, DEFAULT_SHAPES } from './effects/shape-library.js';
+export { samplePath, sampleText, sampleImage, fitFont } from './effects/shape-sampler.js';
+
+export { ParticleSystem } from './components/particle-system.js';
+export { FloatingDotsBackground } from './components/floating-dots-background.js';
+export { ShapeFormingParticleSystem } from './components/shape-forming-particle-system.js';
+export { TypingEffect } from './components/typing-effect.js';
+export { MobileNavigation } from './components/mobile-navigation.js';
+export { SmoothScrolling } from './components/smooth-scrolling.js';
+export { HeaderScrollEffects } from './components/header-scroll-effects.js';
+export { ScrollAnimations } from './components/scroll-animations.js';
+export { StatCounters, formatStat } from './components/stat-counters.js';
+export { ConsentBanner } from './components/consent-banner.js';
+export { ContentSections } from './components/content-sections.js';
+export { ToastManager } from './components/toast-manager.js';
+export { ContactForm } from './components/contact-form.js';
+export { LeadWizard } from './components/lead-wizard.js';
+export { MeetingScheduler } from './components/meeting-scheduler.js';
+export { InteractiveButtons } from './components/interactive-buttons.js';
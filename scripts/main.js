@@ -0,0 +1,46 @@
+/**
+ * CATALYST - ENTERPRISE INTELLIGENCE SOLUTIONS
+ * Enhanced JavaScript with Advanced Animations & Interactions
+ *
+ * Page entry point, loaded by index.html as a module. Each component lives
+ * in its own module under components/ and can be imported on its own (see
+ * index.js).
+ *
+ * Features:
+ * - Particle System Animation
+ * - Floating Dots Background
+ * - Shape-Forming Particles
+ * - Typing Effect
+ * - Smooth Scrolling Navigation
+ * - Header Scroll Effects
+ * - Mobile Menu Functionality
+ * - Contact Form Handling
+ * - Meeting Booking with Calendar Invites
+ * - Intersection Observer for Performance
+ * - Interactive Animations
+ * - Accessibility Support
+ * - Error Reporting
+ */
+
+import { CatalystApp } from './app.js';
+import { getErrorReporter } from './services/error-reporter.js';
+
+// ==========================================================================
+// ERROR HANDLING
+// ==========================================================================
+
+// Listening before the app boots; the app's errorReporter component picks
+// up this same instance (see services/error-reporter.js)
+getErrorReporter().init();
+
+// ==========================================================================
+// INITIALIZE APPLICATION
+// ==========================================================================
+
+window.CatalystApp = new CatalystApp();
+
+window.addEventListener('beforeunload', () => {
+    if (window.CatalystApp && typeof window.CatalystApp.destroy === 'function') {
+        window.CatalystApp.destroy();
+    }
+});
@@ -0,0 +1,195 @@
+/**
+ * CATALYST - ENTERPRISE INTELLIGENCE SOLUTIONS
+ * Analytics
+ *
+ * Forwards events from the event bus to an adapter in small batches. An
+ * adapter is any object with a `send(events)` method:
+ *
+ *   BeaconAdapter   posts { events } to CONFIG.analytics.endpoint with sendBeacon
+ *   ConsoleAdapter  logs each batch, for local testing
+ *   NoopAdapter     drops everything
+ *
+ * Nothing is collected until the visitor consents to "analytics" in the
+ * consent banner (the app passes it on through setConsent) unless
+ * CONFIG.analytics.requireConsent is off, and nothing at all when the
+ * browser sends Global Privacy Control or Do Not Track. Events carry no
+ * identifiers: just the name, its data, the page path and a timestamp.
+ */
+
+import { CONFIG } from '../config.js';
+import { getEventBus } from './event-bus.js';
+
+// ==========================================================================
+// ADAPTERS
+// ==========================================================================
+
+export class BeaconAdapter {
+    constructor(options = {}) {
+        this.endpoint = options.endpoint;
+    }
+
+    send(events) {
+        const body = JSON.stringify({ events });
+
+        // A text/plain beacon needs no CORS preflight, so it also works
+        // against a collector on another origin
+        if (navigator.sendBeacon) {
+            const blob = new Blob([body], { type: 'text/plain;charset=UTF-8' });
+            if (navigator.sendBeacon(this.endpoint, blob)) return true;
+        }
+
+        // No beacon support, or its queue is full
+        fetch(this.endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'text/plain;charset=UTF-8' },
+            body,
+            keepalive: true
+        }).catch(() => {
+            // Analytics never gets in the visitor's way
+        });
+        return true;
+    }
+}
+
+export class ConsoleAdapter {
+    send(events) {
+        console.groupCollapsed(`[analytics] ${events.length} event${events.length === 1 ? '' : 's'}`);
+        events.forEach(event => console.log(event.name, event.data));
+        console.groupEnd();
+        return true;
+    }
+}
+
+export class NoopAdapter {
+    send() {
+        return true;
+    }
+}
+
+/**
+ * Pick an adapter from the analytics configuration. `adapter` may also be a
+ * ready-made object with a `send()` method.
+ */
+export function createAdapter(options = CONFIG.analytics) {
+    if (options.adapter && typeof options.adapter.send === 'function') {
+        return options.adapter;
+    }
+
+    const type = options.adapter || (options.endpoint ? 'beacon' : 'none');
+
+    if (type === 'beacon') {
+        if (!options.endpoint) {
+            throw new Error('The beacon analytics adapter needs an endpoint');
+        }
+        return new BeaconAdapter(options);
+    }
+
+    if (type === 'console') {
+        return new ConsoleAdapter();
+    }
+
+    if (type === 'none') {
+        return new NoopAdapter();
+    }
+
+    throw new Error(`Unknown analytics adapter: ${type}`);
+}
+
+// ==========================================================================
+// ANALYTICS
+// ==========================================================================
+
+export class Analytics {
+    /**
+     * @param {Object} [options] - Overrides for CONFIG.analytics
+     * @param {EventBus} [bus] - Defaults to the shared bus
+     */
+    constructor(options = {}, bus = getEventBus()) {
+        this.options = { ...CONFIG.analytics, ...options };
+        this.bus = bus;
+        this.adapter = createAdapter(this.options);
+        this.queue = [];
+        this.flushTimer = null;
+        this.consent = !this.options.requireConsent;
+        this.optedOut = this.options.respectDoNotTrack && this.hasOptOutSignal();
+
+        this.init();
+    }
+
+    init() {
+        this.unsubscribe = this.bus.on('*', (data, name) => this.track(name, data));
+
+        // Last chance to send before the page is closed or backgrounded
+        this.handleVisibilityChange = () => {
+            if (document.visibilityState === 'hidden') this.flush();
+        };
+        this.handlePageHide = () => this.flush();
+
+        document.addEventListener('visibilitychange', this.handleVisibilityChange);
+        window.addEventListener('pagehide', this.handlePageHide);
+    }
+
+    hasOptOutSignal() {
+        return navigator.globalPrivacyControl === true ||
+            navigator.doNotTrack === '1' ||
+            window.doNotTrack === '1';
+    }
+
+    get isEnabled() {
+        return this.consent && !this.optedOut;
+    }
+
+    /**
+     * Record the visitor's analytics choice. Revoking drops anything queued.
+     */
+    setConsent(granted) {
+        this.consent = Boolean(granted);
+        if (!this.consent) {
+            this.queue = [];
+            clearTimeout(this.flushTimer);
+            this.flushTimer = null;
+        }
+    }
+
+    track(name, data = {}) {
+        // Not stored, not queued: as if it never happened
+        if (!this.isEnabled) return;
+
+        this.queue.push({
+            name,
+            data,
+            path: location.pathname,
+            time: new Date().toISOString()
+        });
+
+        // Events that arrive while the page is going away won't get another chance
+        if (this.queue.length >= this.options.batchSize || document.visibilityState === 'hidden') {
+            this.flush();
+        } else if (!this.flushTimer) {
+            this.flushTimer = setTimeout(() => this.flush(), this.options.flushInterval);
+        }
+    }
+
+    flush() {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+
+        if (!this.queue.length || !this.isEnabled) return;
+
+        const events = this.queue;
+        this.queue = [];
+
+        try {
+            this.adapter.send(events);
+        } catch (error) {
+            console.warn('Analytics batch could not be sent:', error);
+        }
+    }
+
+    destroy() {
+        this.flush();
+        this.unsubscribe();
+        document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+        window.removeEventListener('pagehide', this.handlePageHide);
+    }
+}
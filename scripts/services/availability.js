@@ -0,0 +1,165 @@
+/**
+ * CATALYST - ENTERPRISE INTELLIGENCE SOLUTIONS
+ * Meeting Availability
+ *
+ * Where the meeting scheduler gets its open times. A provider is any
+ * object with a `getSlots({ from, to })` method, where `from` and `to` are
+ * Dates. It resolves to [{ start, end }, …] as Dates or ISO strings. Set
+ * CONFIG.scheduler.provider to one, e.g. a wrapper around a backend's
+ * free/busy endpoint, and it replaces the rules below.
+ *
+ * Without one, RulesAvailability works the times out in the browser from
+ * CONFIG.scheduler: working hours per weekday in the business's time
+ * zone, cut into slots, minus blackout dates and anything sooner than
+ * the minimum notice.
+ */
+
+import { CONFIG } from '../config.js';
+
+// Keys of CONFIG.scheduler.workingHours, by Date#getDay()
+export const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const formatters = new Map();
+
+// ==========================================================================
+// TIME ZONES
+// ==========================================================================
+
+/**
+ * Wall-clock reading of `date` in `timeZone`
+ *
+ * @returns {Object} { year, month, day, hour, minute, second }, month from 1
+ */
+export function getZonedParts(date, timeZone) {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric'
+        }));
+    }
+
+    const parts = {};
+    formatters.get(timeZone).formatToParts(date).forEach(({ type, value }) => {
+        if (type !== 'literal') parts[type] = Number(value);
+    });
+    // Some engines write midnight as 24
+    parts.hour %= 24;
+    return parts;
+}
+
+/**
+ * How far `timeZone` is ahead of UTC at `date`, in milliseconds
+ */
+function getOffset(date, timeZone) {
+    const parts = getZonedParts(date, timeZone);
+    const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return wallClock - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * The moment a wall-clock time happens in `timeZone`
+ *
+ * @param {string} dateKey - "2026-10-20"
+ * @param {string} time - "09:30"
+ * @param {string} timeZone - An IANA name such as "America/New_York"
+ * @returns {Date}
+ */
+export function zonedTimeToDate(dateKey, time, timeZone) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    const [hour, minute] = time.split(':').map(Number);
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+
+    // The offset at the first guess is off by an hour next to a daylight
+    // saving change; the offset at the guess itself settles it
+    const guess = wallClock - getOffset(new Date(wallClock), timeZone);
+    return new Date(wallClock - getOffset(new Date(guess), timeZone));
+}
+
+/**
+ * The calendar date of `date` in `timeZone`, as "2026-10-20"
+ */
+export function toDateKey(date, timeZone) {
+    const { year, month, day } = getZonedParts(date, timeZone);
+    return [
+        String(year).padStart(4, '0'),
+        String(month).padStart(2, '0'),
+        String(day).padStart(2, '0')
+    ].join('-');
+}
+
+/**
+ * A date key as a Date at noon UTC, for formatting with timeZone: 'UTC'
+ */
+export function dateKeyToDate(dateKey) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day, 12));
+}
+
+export function addDays(dateKey, days) {
+    const date = dateKeyToDate(dateKey);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().slice(0, 10);
+}
+
+// ==========================================================================
+// PROVIDERS
+// ==========================================================================
+
+export class RulesAvailability {
+    /**
+     * @param {Object} [options] - Overrides for CONFIG.scheduler
+     */
+    constructor(options = {}) {
+        this.options = { ...CONFIG.scheduler, ...options };
+    }
+
+    /**
+     * @param {Object} range - { from, to } as Dates
+     * @returns {Promise<Array<Object>>} [{ start, end }, …] in order
+     */
+    async getSlots({ from, to }) {
+        const { timeZone, workingHours, slotDuration, minNotice, blackoutDates } = this.options;
+        const earliest = Math.max(from.getTime(), Date.now() + minNotice);
+        const latest = to.getTime();
+        const blackout = new Set(blackoutDates);
+        const slots = [];
+
+        if (!(slotDuration > 0)) return slots;
+
+        const lastDay = toDateKey(to, timeZone);
+        for (let day = toDateKey(from, timeZone); day <= lastDay; day = addDays(day, 1)) {
+            if (blackout.has(day)) continue;
+
+            const hours = workingHours[WEEKDAYS[dateKeyToDate(day).getUTCDay()]] || [];
+            hours.forEach(([open, close]) => {
+                const closing = zonedTimeToDate(day, close, timeZone).getTime();
+                let start = zonedTimeToDate(day, open, timeZone).getTime();
+
+                for (; start + slotDuration <= closing; start += slotDuration) {
+                    if (start >= earliest && start + slotDuration <= latest) {
+                        slots.push({ start: new Date(start), end: new Date(start + slotDuration) });
+                    }
+                }
+            });
+        }
+
+        return slots;
+    }
+}
+
+/**
+ * The configured provider, or RulesAvailability when there is none
+ */
+export function createAvailabilityProvider(options = CONFIG.scheduler) {
+    if (options.provider && typeof options.provider.getSlots === 'function') {
+        return options.provider;
+    }
+
+    return new RulesAvailability(options);
+}
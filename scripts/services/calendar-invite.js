@@ -0,0 +1,135 @@
+/**
+ * CATALYST - ENTERPRISE INTELLIGENCE SOLUTIONS
+ * Calendar Invites
+ *
+ * Writes a single meeting as an iCalendar file (RFC 5545) and hands it to
+ * the browser as an .ics download, which calendar apps open as an
+ * invitation. Times are written in UTC, so the file carries no time zone
+ * definitions.
+ */
+
+const PRODUCT_ID = '-//Catalyst//Meeting Scheduler//EN';
+const CRLF = '\r\n';
+
+/**
+ * "20261020T133000Z", a UTC DATE-TIME (3.3.5)
+ */
+function formatDateTime(date) {
+    return new Date(date).toISOString().replace(/\.\d{3}/, '').replace(/[-:]/g, '');
+}
+
+/**
+ * Backslashes, semicolons, commas and line breaks are escaped in TEXT (3.3.11)
+ */
+function escapeText(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r\n|\r|\n/g, '\\n');
+}
+
+/**
+ * Parameter values with ":", ";" or "," are quoted, and can't hold quotes (3.2)
+ */
+function paramValue(value) {
+    const text = String(value).replace(/"/g, '\'');
+    return /[:;,]/.test(text) ? `"${text}"` : text;
+}
+
+/**
+ * Lines longer than 75 octets carry on after a line break and a space
+ * (3.1), without splitting a UTF-8 character
+ */
+function foldLine(line) {
+    const encoder = new TextEncoder();
+    const chunks = [];
+    let chunk = '';
+    let size = 0;
+
+    for (const char of line) {
+        const bytes = encoder.encode(char).length;
+        // The space that starts a continuation line counts too
+        const limit = chunks.length ? 74 : 75;
+
+        if (size + bytes > limit) {
+            chunks.push(chunk);
+            chunk = '';
+            size = 0;
+        }
+        chunk += char;
+        size += bytes;
+    }
+    chunks.push(chunk);
+
+    return chunks.join(`${CRLF} `);
+}
+
+/**
+ * @param {Object} event
+ * @param {string} event.uid - Unique and stable for this meeting
+ * @param {Date} event.start
+ * @param {Date} event.end
+ * @param {string} event.summary
+ * @param {string} [event.description]
+ * @param {string} [event.location]
+ * @param {string} [event.url]
+ * @param {Object} [event.organizer] - { name, email }
+ * @param {string} [event.status] - TENTATIVE until the team confirms
+ * @returns {string} The .ics file's text
+ */
+export function createCalendarInvite({
+    uid,
+    start,
+    end,
+    summary,
+    description,
+    location,
+    url,
+    organizer,
+    status = 'TENTATIVE'
+}) {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        'BEGIN:VEVENT',
+        `UID:${uid}`,
+        `DTSTAMP:${formatDateTime(new Date())}`,
+        `DTSTART:${formatDateTime(start)}`,
+        `DTEND:${formatDateTime(end)}`,
+        `SUMMARY:${escapeText(summary)}`
+    ];
+
+    if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+    if (location) lines.push(`LOCATION:${escapeText(location)}`);
+    if (url) lines.push(`URL:${url}`);
+    if (organizer && organizer.email) {
+        const name = organizer.name ? `;CN=${paramValue(organizer.name)}` : '';
+        lines.push(`ORGANIZER${name}:mailto:${organizer.email}`);
+    }
+
+    lines.push(`STATUS:${status}`, 'END:VEVENT', 'END:VCALENDAR');
+
+    return lines.map(foldLine).join(CRLF) + CRLF;
+}
+
+/**
+ * Offer `text` as a file download
+ */
+export function downloadCalendarInvite(text, filename = 'invite.ics') {
+    const url = URL.createObjectURL(new Blob([text], { type: 'text/calendar;charset=utf-8' }));
+    const link = document.createElement('a');
+
+    link.href = url;
+    link.download = filename;
+    link.hidden = true;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // Give the download a moment to start before letting the file go
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -0,0 +1,405 @@
+/**
+ * CATALYST - ENTERPRISE INTELLIGENCE SOLUTIONS
+ * Component Registry
+ *
+ * Mounts page components from declarations rather than a fixed list:
+ *
+ *   registry.register({
+ *       name: 'contactForm',
+ *       dependencies: ['toastManager'],      // mounted first; passed to mount()
+ *       priority: 0,                         // lower mounts first among ready components
+ *       condition: '(min-width: 768px)',     // media query, or a function returning a boolean
+ *       delay: 0,                            // ms to wait once everything else allows it
+ *       guard: true,                         // see below
+ *       mount: ({ toastManager }, app) => new ContactForm(toastManager),
+ *       unmount: (instance, app) => instance.destroy()   // the default
+ *   });
+ *
+ * Every mount and unmount runs on its own: one that throws is logged, marks
+ * that component (and whatever depends on it) as failed, and the rest carry
+ * on. Failures are also dispatched on document as `component:error`
+ * ({ name, phase, error }). Media-query conditions are re-checked when the
+ * query changes, mounting or unmounting the component to match.
+ *
+ * Guarded components also have their methods wrapped once mounted: an
+ * exception escaping one (phase "runtime") still reaches the caller, but
+ * the component is unmounted and marked failed, so a broken effect stops
+ * instead of failing on every frame. Rejected promises are left to the
+ * caller, since a method may hand back one it was given. Services whose
+ * methods throw on bad arguments by design set `guard: false`.
+ *
+ * Callbacks the browser calls (listeners, observers, timers) are the
+ * component's own functions rather than methods, so components wrap them
+ * with guarded() when they create them:
+ *
+ *   this.handleScroll = guarded(() => this.update());
+ *   window.addEventListener('scroll', this.handleScroll);
+ *
+ * The wrapper belongs to whichever guarded component was running when it
+ * was made; outside one, guarded() hands the callback back unchanged.
+ */
+
+// The guarded component whose code is running: { registry, name }
+let activeOwner = null;
+
+/**
+ * Run `task` as the owner's code, taking the component down if it throws
+ */
+function runAs(owner, task) {
+    const previous = activeOwner;
+    activeOwner = owner;
+
+    try {
+        return task();
+    } catch (error) {
+        owner.registry.crash(owner.name, error);
+        throw error;
+    } finally {
+        activeOwner = previous;
+    }
+}
+
+/**
+ * Wrap a callback so an exception from it takes down the guarded
+ * component that made it, as one from its methods does
+ */
+export function guarded(callback) {
+    const owner = activeOwner;
+    if (!owner) return callback;
+
+    return function (...args) {
+        return runAs(owner, () => callback.apply(this, args));
+    };
+}
+
+export class ComponentRegistry {
+    /**
+     * @param {Object} [app] - Passed to mount() and unmount()
+     */
+    constructor(app = null) {
+        this.app = app;
+        this.definitions = new Map();
+        this.states = new Map();
+        this.timers = new Map();
+        this.mediaQueries = new Map();
+
+        // Live instances by name, in mount order
+        this.instances = {};
+        this.mountOrder = [];
+        this.started = false;
+        this.sequence = 0;
+    }
+
+    /**
+     * @param {Object} definition - See the module header
+     */
+    register(definition) {
+        if (!definition || typeof definition.name !== 'string' || !definition.name) {
+            throw new Error('Components need a name');
+        }
+        if (typeof definition.mount !== 'function') {
+            throw new Error(`Component "${definition.name}" needs a mount() function`);
+        }
+        if (this.definitions.has(definition.name)) {
+            throw new Error(`A component named "${definition.name}" is already registered`);
+        }
+
+        this.definitions.set(definition.name, {
+            dependencies: [],
+            priority: 0,
+            condition: null,
+            delay: 0,
+            guard: true,
+            ...definition,
+            order: this.sequence++
+        });
+        this.states.set(definition.name, 'pending');
+
+        // Late registrations (plugins) mount as soon as they can
+        if (this.started) this.mountPending();
+        return this;
+    }
+
+    has(name) {
+        return this.definitions.has(name);
+    }
+
+    get(name) {
+        return this.instances[name] || null;
+    }
+
+    /**
+     * pending | scheduled | mounted | skipped | failed, or null if unknown
+     */
+    getState(name) {
+        return this.states.get(name) || null;
+    }
+
+    // ==========================================================================
+    // MOUNTING
+    // ==========================================================================
+
+    start() {
+        this.started = true;
+        this.mountPending();
+
+        // Scheduled and skipped dependencies may still come; missing or
+        // circular ones won't unless a plugin adds them
+        this.states.forEach((state, name) => {
+            if (state !== 'pending') return;
+            const waitingFor = this.definitions.get(name).dependencies
+                .filter(dependency => [null, 'pending'].includes(this.getState(dependency)));
+            if (waitingFor.length) {
+                console.warn(`Component "${name}" is waiting for: ${waitingFor.join(', ')}`);
+            }
+        });
+    }
+
+    /**
+     * Mount whatever has become ready, lowest priority first, until nothing else is
+     */
+    mountPending() {
+        let next = this.nextReady();
+        while (next) {
+            this.prepare(next);
+            next = this.nextReady();
+        }
+    }
+
+    nextReady() {
+        let ready = null;
+
+        this.definitions.forEach(definition => {
+            if (this.states.get(definition.name) !== 'pending') return;
+
+            const blockedBy = definition.dependencies.find(dependency => this.getState(dependency) === 'failed');
+            if (blockedBy) {
+                this.fail(definition.name, 'mount', new Error(`Dependency "${blockedBy}" failed`));
+                return;
+            }
+
+            if (!definition.dependencies.every(dependency => this.getState(dependency) === 'mounted')) return;
+
+            if (!ready ||
+                definition.priority < ready.priority ||
+                (definition.priority === ready.priority && definition.order < ready.order)) {
+                ready = definition;
+            }
+        });
+
+        return ready;
+    }
+
+    prepare(definition) {
+        const { name } = definition;
+
+        let allowed;
+        try {
+            allowed = this.checkCondition(definition);
+        } catch (error) {
+            this.fail(name, 'condition', error);
+            return;
+        }
+
+        if (!allowed) {
+            this.states.set(name, 'skipped');
+            return;
+        }
+
+        if (definition.delay > 0) {
+            this.states.set(name, 'scheduled');
+            this.timers.set(name, setTimeout(() => {
+                this.timers.delete(name);
+                this.mount(definition);
+                this.mountPending();
+            }, definition.delay));
+            return;
+        }
+
+        this.mount(definition);
+    }
+
+    checkCondition(definition) {
+        const { condition } = definition;
+
+        if (typeof condition === 'function') {
+            return Boolean(condition(this.app));
+        }
+
+        if (typeof condition === 'string') {
+            return this.watchMedia(definition).matches;
+        }
+
+        return true;
+    }
+
+    watchMedia(definition) {
+        const watched = this.mediaQueries.get(definition.name);
+        if (watched) return watched.query;
+
+        const query = window.matchMedia(definition.condition);
+        const handleChange = () => {
+            const state = this.getState(definition.name);
+
+            if (query.matches && state === 'skipped') {
+                this.states.set(definition.name, 'pending');
+                this.mountPending();
+            } else if (!query.matches && (state === 'mounted' || state === 'scheduled')) {
+                this.unmount(definition.name);
+                this.states.set(definition.name, 'skipped');
+            }
+        };
+
+        query.addEventListener('change', handleChange);
+        this.mediaQueries.set(definition.name, { query, handleChange });
+        return query;
+    }
+
+    mount(definition) {
+        const dependencies = {};
+        definition.dependencies.forEach(dependency => {
+            dependencies[dependency] = this.instances[dependency];
+        });
+
+        // Callbacks made while mounting belong to the component (see guarded())
+        const owner = definition.guard ? { registry: this, name: definition.name } : null;
+
+        let instance;
+        try {
+            instance = owner
+                ? runAs(owner, () => definition.mount(dependencies, this.app))
+                : definition.mount(dependencies, this.app);
+        } catch (error) {
+            this.fail(definition.name, 'mount', error);
+            return;
+        }
+
+        if (owner && instance && typeof instance === 'object') {
+            this.guard(owner, instance);
+        }
+
+        this.instances[definition.name] = instance;
+        this.states.set(definition.name, 'mounted');
+        this.mountOrder.push(definition.name);
+    }
+
+    /**
+     * Wrap the instance's methods so an exception from any of them takes
+     * the component down (see crash)
+     */
+    guard(owner, instance) {
+        const wrapped = new Set(['constructor', 'destroy']);
+
+        for (let proto = Object.getPrototypeOf(instance); proto && proto !== Object.prototype; proto = Object.getPrototypeOf(proto)) {
+            Object.getOwnPropertyNames(proto).forEach(key => {
+                const descriptor = Object.getOwnPropertyDescriptor(proto, key);
+                if (wrapped.has(key) || typeof descriptor.value !== 'function') return;
+
+                // Bound copies made by the constructor are left alone
+                wrapped.add(key);
+                if (Object.prototype.hasOwnProperty.call(instance, key)) return;
+
+                const method = descriptor.value;
+                Object.defineProperty(instance, key, {
+                    configurable: true,
+                    writable: true,
+                    value: function (...args) {
+                        return runAs(owner, () => method.apply(this, args));
+                    }
+                });
+            });
+        }
+    }
+
+    /**
+     * A mounted component threw: report it, unmount it and keep it down
+     */
+    crash(name, error) {
+        if (this.getState(name) !== 'mounted') return;
+
+        this.unmount(name);
+        this.fail(name, 'runtime', error);
+    }
+
+    // ==========================================================================
+    // UNMOUNTING
+    // ==========================================================================
+
+    /**
+     * Unmount a component and, before it, everything that depends on it.
+     * They go back to pending and remount if it does.
+     */
+    unmount(name) {
+        const state = this.getState(name);
+
+        if (state === 'scheduled') {
+            clearTimeout(this.timers.get(name));
+            this.timers.delete(name);
+            this.states.set(name, 'pending');
+            return;
+        }
+        if (state !== 'mounted') return;
+
+        this.definitions.forEach(definition => {
+            if (definition.dependencies.includes(name)) this.unmount(definition.name);
+        });
+
+        const definition = this.definitions.get(name);
+        const instance = this.instances[name];
+
+        delete this.instances[name];
+        this.mountOrder = this.mountOrder.filter(other => other !== name);
+        this.states.set(name, 'pending');
+
+        try {
+            if (definition.unmount) {
+                definition.unmount(instance, this.app);
+            } else if (instance && typeof instance.destroy === 'function') {
+                instance.destroy();
+            }
+        } catch (error) {
+            this.report(name, 'unmount', error);
+        }
+    }
+
+    /**
+     * Unmount everything, most recently mounted first
+     */
+    destroy() {
+        this.started = false;
+
+        this.timers.forEach(clearTimeout);
+        this.timers.clear();
+
+        [...this.mountOrder].reverse().forEach(name => this.unmount(name));
+
+        this.mediaQueries.forEach(({ query, handleChange }) => {
+            query.removeEventListener('change', handleChange);
+        });
+        this.mediaQueries.clear();
+    }
+
+    // ==========================================================================
+    // FAILURES
+    // ==========================================================================
+
+    fail(name, phase, error) {
+        this.states.set(name, 'failed');
+        this.report(name, phase, error);
+
+        // Nothing that needs it can mount now
+        this.definitions.forEach(definition => {
+            if (definition.dependencies.includes(name) && this.getState(definition.name) === 'pending') {
+                this.fail(definition.name, 'mount', new Error(`Dependency "${name}" failed`));
+            }
+        });
+    }
+
+    report(name, phase, error) {
+        console.error(`Component "${name}" failed during ${phase}:`, error);
+
+        document.dispatchEvent(new CustomEvent('component:error', {
+            detail: { name, phase, error }
+        }));
+    }
+}
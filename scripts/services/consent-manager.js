@@ -0,0 +1,216 @@
+/**
+ * CATALYST - ENTERPRISE INTELLIGENCE SOLUTIONS
+ * Consent Manager
+ *
+ * Keeps the visitor's choice per category (CONFIG.consent.categories;
+ * "necessary" is always on) in localStorage, stamped with
+ * CONFIG.consent.version so bumping the version asks everyone again.
+ *
+ *   consent.onGranted('analytics', () => loadTracker());   // now, or once granted
+ *   consent.onChange(choices => …);
+ *   consent.save({ analytics: true, external: false });
+ *
+ * Third-party stylesheets are declared in the markup without an href:
+ *
+ *   <link rel="stylesheet" data-consent="external"
+ *         data-src="https://cdn.example/lib.css" data-fallback="vendor/lib.css">
+ *
+ * and get `data-src` once their category is granted, or the self-hosted
+ * `data-fallback` (if any) until then. A `consent:change` event
+ * ({ choices }) is dispatched on document after every change.
+ */
+
+import { CONFIG } from '../config.js';
+
+export class ConsentManager {
+    /**
+     * @param {Object} [options] - Overrides for CONFIG.consent
+     */
+    constructor(options = {}) {
+        this.options = { ...CONFIG.consent, ...options };
+        this.choices = null;
+        this.grantedCallbacks = [];
+        this.changeListeners = new Set();
+
+        this.init();
+    }
+
+    init() {
+        this.choices = this.load();
+        this.applyResources();
+    }
+
+    /**
+     * Has the visitor made a choice under the current version?
+     */
+    get isDecided() {
+        return this.choices !== null;
+    }
+
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.options.storageKey));
+            if (stored && stored.version === this.options.version && stored.choices) {
+                return this.normalize(stored.choices);
+            }
+        } catch (error) {
+            // Unreadable or blocked storage: ask again
+        }
+        return null;
+    }
+
+    normalize(choices) {
+        const normalized = {};
+        this.options.categories.forEach(category => {
+            normalized[category] = category === 'necessary' || choices[category] === true;
+        });
+        return normalized;
+    }
+
+    /**
+     * Current choices, with every optional category off while undecided
+     */
+    getChoices() {
+        return this.choices ? { ...this.choices } : this.normalize({});
+    }
+
+    has(category) {
+        return this.getChoices()[category] === true;
+    }
+
+    // ==========================================================================
+    // CHOOSING
+    // ==========================================================================
+
+    /**
+     * @param {Object} choices - { category: boolean }; missing categories are off
+     */
+    save(choices) {
+        const unknown = Object.keys(choices).filter(category => !this.options.categories.includes(category));
+        if (unknown.length) {
+            throw new Error(`Unknown consent categories: ${unknown.join(', ')}`);
+        }
+
+        this.choices = this.normalize(choices);
+
+        try {
+            localStorage.setItem(this.options.storageKey, JSON.stringify({
+                version: this.options.version,
+                choices: this.choices,
+                updatedAt: new Date().toISOString()
+            }));
+        } catch (error) {
+            // Private mode: the choice holds for this page only
+        }
+
+        this.applyResources();
+        this.notify();
+    }
+
+    grantAll() {
+        const choices = {};
+        this.options.categories.forEach(category => {
+            choices[category] = true;
+        });
+        this.save(choices);
+    }
+
+    rejectAll() {
+        this.save({});
+    }
+
+    /**
+     * Forget the choice, e.g. to show the banner again
+     */
+    reset() {
+        this.choices = null;
+        try {
+            localStorage.removeItem(this.options.storageKey);
+        } catch (error) {
+            // Nothing stored to remove
+        }
+
+        this.applyResources();
+        this.notify();
+    }
+
+    // ==========================================================================
+    // LISTENERS
+    // ==========================================================================
+
+    /**
+     * Run `callback` once `category` is granted: straight away if it already
+     * is, otherwise the first time it is
+     *
+     * @returns {Function} cancel
+     */
+    onGranted(category, callback) {
+        if (!this.options.categories.includes(category)) {
+            throw new Error(`Unknown consent category: ${category}`);
+        }
+
+        if (this.has(category)) {
+            callback();
+            return () => {};
+        }
+
+        const entry = { category, callback };
+        this.grantedCallbacks.push(entry);
+        return () => {
+            this.grantedCallbacks = this.grantedCallbacks.filter(other => other !== entry);
+        };
+    }
+
+    /**
+     * @param {Function} listener - Called with the choices after every change
+     * @returns {Function} unsubscribe
+     */
+    onChange(listener) {
+        this.changeListeners.add(listener);
+        return () => this.changeListeners.delete(listener);
+    }
+
+    notify() {
+        const choices = this.getChoices();
+
+        const due = this.grantedCallbacks.filter(({ category }) => choices[category]);
+        this.grantedCallbacks = this.grantedCallbacks.filter(entry => !due.includes(entry));
+
+        [...due.map(({ callback }) => callback), ...this.changeListeners].forEach(listener => {
+            try {
+                listener(choices);
+            } catch (error) {
+                console.error('Consent listener failed:', error);
+            }
+        });
+
+        document.dispatchEvent(new CustomEvent('consent:change', {
+            detail: { choices }
+        }));
+    }
+
+    // ==========================================================================
+    // GATED RESOURCES
+    // ==========================================================================
+
+    /**
+     * Point each [data-consent] link at its third-party or self-hosted URL;
+     * withdrawing consent swaps the fallback back in
+     */
+    applyResources() {
+        document.querySelectorAll('link[data-consent]').forEach(link => {
+            const url = this.has(link.dataset.consent) ? link.dataset.src : link.dataset.fallback;
+
+            if (!url) {
+                link.removeAttribute('href');
+            } else if (link.getAttribute('href') !== url) {
+                link.setAttribute('href', url);
+            }
+        });
+    }
+
+    destroy() {
+        this.grantedCallbacks = [];
+        this.changeListeners.clear();
+    }
+}
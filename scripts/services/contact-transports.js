@@ -0,0 +1,141 @@
+/**
+ * CATALYST - ENTERPRISE INTELLIGENCE SOLUTIONS
+ * Contact form transports
+ *
+ * A transport is any object with a `send(payload)` method returning a
+ * promise. It resolves once the message has left the browser and rejects
+ * with a TransportError otherwise. One that sets `queueable = false` is
+ * never queued for later (see submission-queue.js): the mailto transport
+ * only works while the visitor is there to send the email.
+ */
+
+import { CONFIG } from '../config.js';
+
+export class TransportError extends Error {
+    constructor(message, { status = null, retryable = true } = {}) {
+        super(message);
+        this.name = 'TransportError';
+        this.status = status;
+        this.retryable = retryable;
+    }
+}
+
+// ==========================================================================
+// JSON TRANSPORT
+// ==========================================================================
+
+export class JsonTransport {
+    constructor(options = {}) {
+        this.endpoint = options.endpoint;
+        this.timeout = options.timeout || CONFIG.contact.timeout;
+    }
+
+    async send(payload) {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+
+        let response;
+        try {
+            response = await fetch(this.endpoint, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Accept': 'application/json'
+                },
+                body: JSON.stringify(payload),
+                signal: controller.signal
+            });
+        } catch (error) {
+            // Network failures and timeouts are worth another try later
+            throw new TransportError(
+                error.name === 'AbortError' ? 'Request timed out' : 'Network request failed'
+            );
+        } finally {
+            clearTimeout(timeoutId);
+        }
+
+        if (!response.ok) {
+            // Client errors will fail the same way again, so don't retry them
+            throw new TransportError(`Server responded with ${response.status}`, {
+                status: response.status,
+                retryable: response.status >= 500 || response.status === 429
+            });
+        }
+
+        return { method: 'json', status: response.status };
+    }
+}
+
+// ==========================================================================
+// MAILTO TRANSPORT
+// ==========================================================================
+
+export class MailtoTransport {
+    constructor(options = {}) {
+        this.address = options.mailto || CONFIG.contact.mailto;
+        this.subject = options.subject || CONFIG.contact.subject;
+
+        // Opening the mail client needs the visitor's click, and the client
+        // keeps the message itself while offline
+        this.queueable = false;
+    }
+
+    send(payload) {
+        const name = [payload.firstName, payload.lastName].filter(Boolean).join(' ');
+        const lines = [
+            payload.message,
+            '',
+            `${name} <${payload.email}>`
+        ];
+
+        if (payload.company) {
+            lines.push(payload.company);
+        }
+
+        // Answers from the lead wizard's earlier steps
+        const qualification = [
+            ['Service', payload.service],
+            ['Company size', payload.companySize],
+            ['Data maturity', payload.dataMaturity]
+        ].filter(([, value]) => value);
+
+        if (qualification.length) {
+            lines.push('', ...qualification.map(([label, value]) => `${label}: ${value}`));
+        }
+
+        const params = new URLSearchParams({
+            subject: this.subject,
+            body: lines.join('\n')
+        });
+
+        // URLSearchParams encodes spaces as "+", which mail clients show literally
+        window.location.href = `mailto:${this.address}?${params.toString().replace(/\+/g, '%20')}`;
+
+        return Promise.resolve({ method: 'mailto' });
+    }
+}
+
+/**
+ * Pick a transport from the contact configuration. `transport` may also be
+ * a ready-made object with a `send()` method.
+ */
+export function createTransport(options = CONFIG.contact) {
+    if (options.transport && typeof options.transport.send === 'function') {
+        return options.transport;
+    }
+
+    const type = options.transport || (options.endpoint ? 'json' : 'mailto');
+
+    if (type === 'json') {
+        if (!options.endpoint) {
+            throw new Error('The JSON contact transport needs an endpoint');
+        }
+        return new JsonTransport(options);
+    }
+
+    if (type === 'mailto') {
+        return new MailtoTransport(options);
+    }
+
+    throw new Error(`Unknown contact transport: ${type}`);
+}
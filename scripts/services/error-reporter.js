@@ -0,0 +1,331 @@
+/**
+ * CATALYST - ENTERPRISE INTELLIGENCE SOLUTIONS
+ * Error Reporter
+ *
+ * Collects uncaught errors, unhandled rejections, component failures
+ * (`component:error` from the registry) and canvas layer failures
+ * (`renderer:error`), and posts them as JSON to CONFIG.errors.endpoint:
+ *
+ *   { message, name, stack, component, phase, count, url, userAgent,
+ *     time, breadcrumbs: [{ category, message, time }, …] }
+ *
+ * Breadcrumbs are the visitor's last few clicks, navigations and form
+ * actions; they describe the element used, never what was typed. The same
+ * error seen again within `dedupeWindow` only bumps the count on the next
+ * report of it, and no more than `rateLimit.max` reports go out per window.
+ * Reports that can't be sent wait in localStorage until the browser is
+ * back online. Without an endpoint nothing leaves the page.
+ *
+ *   getErrorReporter().capture(error, { component: 'contactForm' });
+ */
+
+import { CONFIG } from '../config.js';
+import { getEventBus } from './event-bus.js';
+
+// Characters of element text kept in a click breadcrumb
+const LABEL_LENGTH = 40;
+
+let sharedReporter = null;
+
+/**
+ * Short description of a clicked element: tag#id.class "label"
+ */
+function describeElement(element) {
+    const target = element.closest('a, button, summary, label, [role="button"], input, select, textarea') || element;
+
+    let description = target.tagName.toLowerCase();
+    if (target.id) description += `#${target.id}`;
+    if (typeof target.className === 'string' && target.className.trim()) {
+        description += `.${target.className.trim().split(/\s+/).slice(0, 2).join('.')}`;
+    }
+
+    // Form fields are named, never read
+    if (target.matches('input, select, textarea')) {
+        return target.name ? `${description}[name="${target.name}"]` : description;
+    }
+
+    const label = (target.getAttribute('aria-label') || target.textContent || '').trim().replace(/\s+/g, ' ');
+    return label ? `${description} "${label.slice(0, LABEL_LENGTH)}"` : description;
+}
+
+/**
+ * Whatever was thrown, as { name, message, stack }
+ */
+function normalizeError(error) {
+    if (error instanceof Error || (error && typeof error.message === 'string')) {
+        return {
+            name: error.name || 'Error',
+            message: error.message,
+            stack: error.stack || ''
+        };
+    }
+
+    let message;
+    try {
+        message = typeof error === 'string' ? error : JSON.stringify(error);
+    } catch (stringifyError) {
+        message = String(error);
+    }
+    return { name: 'Error', message: message || String(error), stack: '' };
+}
+
+export class ErrorReporter {
+    /**
+     * @param {Object} [options] - Overrides for CONFIG.errors
+     */
+    constructor(options = {}) {
+        this.overrides = options;
+        this.options = { ...CONFIG.errors, ...options };
+        this.breadcrumbs = [];
+
+        // Fingerprint → { lastSeen, repeats } for deduplication
+        this.seen = new Map();
+        this.sentTimes = [];
+
+        // Error objects already reported, so a rethrown one isn't sent twice
+        this.reported = new WeakSet();
+        this.isRunning = false;
+    }
+
+    init() {
+        if (this.isRunning) return;
+        this.isRunning = true;
+
+        this.handleError = (e) => {
+            // Failed <img>/<script> loads arrive here without an error
+            if (!e.error && !e.message) return;
+            this.capture(e.error || e.message, { phase: 'uncaught' });
+        };
+
+        this.handleRejection = (e) => {
+            this.capture(e.reason, { phase: 'unhandledrejection' });
+        };
+
+        this.handleComponentError = (e) => {
+            this.capture(e.detail.error, { component: e.detail.name, phase: e.detail.phase });
+        };
+
+        this.handleRendererError = (e) => {
+            this.capture(e.detail.error, { component: `layer:${e.detail.type}`, phase: 'render' });
+        };
+
+        this.handleOnline = () => this.flushStored();
+
+        // The reporter starts before the page's settings are read, so an
+        // endpoint or limits from #catalyst-config arrive this way
+        this.handleConfigChange = (e) => {
+            if (!e.detail.sections.includes('errors')) return;
+
+            this.options = { ...CONFIG.errors, ...this.overrides };
+            this.flushStored();
+        };
+
+        window.addEventListener('error', this.handleError);
+        window.addEventListener('unhandledrejection', this.handleRejection);
+        window.addEventListener('online', this.handleOnline);
+        document.addEventListener('component:error', this.handleComponentError);
+        document.addEventListener('renderer:error', this.handleRendererError);
+        document.addEventListener('config:change', this.handleConfigChange);
+
+        this.trackBreadcrumbs();
+        this.flushStored();
+    }
+
+    // ==========================================================================
+    // BREADCRUMBS
+    // ==========================================================================
+
+    trackBreadcrumbs() {
+        this.handleClick = (e) => {
+            if (e.target instanceof Element) this.addBreadcrumb('click', describeElement(e.target));
+        };
+
+        this.handleNavigation = () => {
+            this.addBreadcrumb('navigation', `${location.pathname}${location.hash}`);
+        };
+
+        this.handleSubmit = (e) => {
+            const form = e.target;
+            this.addBreadcrumb('form', `submit ${form.id || form.getAttribute('name') || 'form'}`);
+        };
+
+        // Capture phase, so handlers that stop propagation don't hide the action
+        document.addEventListener('click', this.handleClick, true);
+        document.addEventListener('submit', this.handleSubmit, true);
+        window.addEventListener('popstate', this.handleNavigation);
+        window.addEventListener('hashchange', this.handleNavigation);
+
+        const bus = getEventBus();
+        this.unsubscribes = [
+            bus.on('form_error', ({ form, field }) => this.addBreadcrumb('form', `${form}: invalid ${field}`)),
+            bus.on('form_step', ({ form, step }) => this.addBreadcrumb('form', `${form}: step ${step}`)),
+            bus.on('form_submit', ({ form, outcome }) => this.addBreadcrumb('form', `${form}: ${outcome}`))
+        ];
+    }
+
+    addBreadcrumb(category, message) {
+        this.breadcrumbs.push({ category, message, time: new Date().toISOString() });
+
+        if (this.breadcrumbs.length > this.options.maxBreadcrumbs) {
+            this.breadcrumbs.splice(0, this.breadcrumbs.length - this.options.maxBreadcrumbs);
+        }
+    }
+
+    // ==========================================================================
+    // REPORTING
+    // ==========================================================================
+
+    /**
+     * Report an error
+     *
+     * @param {*} error - Anything thrown
+     * @param {Object} [context] - { component, phase }
+     * @returns {Object|null} The report, or null if deduplicated or rate limited
+     */
+    capture(error, context = {}) {
+        if (error && typeof error === 'object') {
+            if (this.reported.has(error)) return null;
+            this.reported.add(error);
+        }
+
+        const { name, message, stack } = normalizeError(error);
+        const component = context.component || null;
+        const now = Date.now();
+
+        // The first stack frame tells two errors with the same message apart
+        const fingerprint = [component, name, message, stack.split('\n')[1] || ''].join('|');
+        const previous = this.seen.get(fingerprint);
+
+        if (previous && now - previous.lastSeen < this.options.dedupeWindow) {
+            previous.lastSeen = now;
+            previous.repeats++;
+            return null;
+        }
+
+        if (!this.takeSlot(now)) return null;
+
+        this.seen.set(fingerprint, { lastSeen: now, repeats: 0 });
+
+        const report = {
+            message,
+            name,
+            stack,
+            component,
+            phase: context.phase || null,
+            // Includes the repeats deduplicated since this error was last sent
+            count: 1 + (previous ? previous.repeats : 0),
+            url: location.href,
+            userAgent: navigator.userAgent,
+            time: new Date(now).toISOString(),
+            breadcrumbs: this.breadcrumbs.slice()
+        };
+
+        this.send(report);
+        return report;
+    }
+
+    takeSlot(now) {
+        const { max, window: period } = this.options.rateLimit;
+
+        this.sentTimes = this.sentTimes.filter(time => now - time < period);
+        if (this.sentTimes.length >= max) return false;
+
+        this.sentTimes.push(now);
+        return true;
+    }
+
+    send(report) {
+        if (!this.options.endpoint) return;
+
+        if (!navigator.onLine) {
+            this.store(report);
+            return;
+        }
+
+        this.post([report]).catch(() => this.store(report));
+    }
+
+    post(reports) {
+        return fetch(this.options.endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ reports }),
+            keepalive: true
+        }).then(response => {
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        });
+    }
+
+    // ==========================================================================
+    // OFFLINE STORAGE
+    // ==========================================================================
+
+    loadStored() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.options.storageKey));
+            return Array.isArray(stored) ? stored : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    saveStored(reports) {
+        try {
+            if (reports.length) {
+                localStorage.setItem(this.options.storageKey, JSON.stringify(reports));
+            } else {
+                localStorage.removeItem(this.options.storageKey);
+            }
+        } catch (error) {
+            // Storage full or disabled: these reports are lost
+        }
+    }
+
+    store(report) {
+        // Keep the newest ones
+        this.saveStored([...this.loadStored(), report].slice(-this.options.maxStored));
+    }
+
+    flushStored() {
+        if (!this.options.endpoint || !navigator.onLine) return;
+
+        const reports = this.loadStored();
+        if (!reports.length) return;
+
+        this.saveStored([]);
+        this.post(reports).catch(() => {
+            this.saveStored([...reports, ...this.loadStored()].slice(-this.options.maxStored));
+        });
+    }
+
+    destroy() {
+        if (!this.isRunning) return;
+        this.isRunning = false;
+
+        window.removeEventListener('error', this.handleError);
+        window.removeEventListener('unhandledrejection', this.handleRejection);
+        window.removeEventListener('online', this.handleOnline);
+        window.removeEventListener('popstate', this.handleNavigation);
+        window.removeEventListener('hashchange', this.handleNavigation);
+        document.removeEventListener('component:error', this.handleComponentError);
+        document.removeEventListener('renderer:error', this.handleRendererError);
+        document.removeEventListener('config:change', this.handleConfigChange);
+        document.removeEventListener('click', this.handleClick, true);
+        document.removeEventListener('submit', this.handleSubmit, true);
+        this.unsubscribes.forEach(unsubscribe => unsubscribe());
+
+        if (sharedReporter === this) {
+            sharedReporter = null;
+        }
+    }
+}
+
+/**
+ * The reporter for the page, created on first use
+ */
+export function getErrorReporter() {
+    if (!sharedReporter) {
+        sharedReporter = new ErrorReporter();
+    }
+    return sharedReporter;
+}
@@ -0,0 +1,93 @@
+/**
+ * CATALYST - ENTERPRISE INTELLIGENCE SOLUTIONS
+ * Event Bus
+ *
+ * Components publish what the visitor does here; listeners such as the
+ * analytics service subscribe without the components knowing about them.
+ *
+ *   const bus = getEventBus();
+ *   const off = bus.on('cta_click', data => …);
+ *   bus.on('*', (data, type) => …);        // every event
+ *   bus.emit('cta_click', { id: 'cta-button' });
+ *   off();
+ *
+ * Events published by the page:
+ *
+ *   cta_click      { id, label, href }
+ *   form_error     { form, field }            one per invalid field on submit
+ *   form_step      { form, step, index }      a multi-step form moved to another step
+ *   form_submit    { form, outcome, … }       outcome: sent (+ method) | queued |
+ *                                             blocked (+ reason) | failed (+ status)
+ *   meeting_book   { duration }               a call was picked and its invite downloaded;
+ *                                             duration in minutes
+ *   section_view   { section, dwell }         dwell in ms, once the section leaves view
+ *   scroll_depth   { percent }                each of CONFIG.analytics.scrollDepths once
+ *
+ * A listener that throws is logged and doesn't stop the others.
+ */
+
+let sharedBus = null;
+
+export class EventBus {
+    constructor() {
+        this.listeners = new Map();
+    }
+
+    /**
+     * @param {string} type - Event name, or "*" for every event
+     * @param {Function} handler - Called with (data, type)
+     * @returns {Function} unsubscribe
+     */
+    on(type, handler) {
+        if (!this.listeners.has(type)) {
+            this.listeners.set(type, new Set());
+        }
+        this.listeners.get(type).add(handler);
+        return () => this.off(type, handler);
+    }
+
+    once(type, handler) {
+        const off = this.on(type, (data, eventType) => {
+            off();
+            handler(data, eventType);
+        });
+        return off;
+    }
+
+    off(type, handler) {
+        const handlers = this.listeners.get(type);
+        if (!handlers) return;
+
+        handlers.delete(handler);
+        if (!handlers.size) this.listeners.delete(type);
+    }
+
+    emit(type, data = {}) {
+        const handlers = [
+            ...(this.listeners.get(type) || []),
+            ...(this.listeners.get('*') || [])
+        ];
+
+        handlers.forEach(handler => {
+            try {
+                handler(data, type);
+            } catch (error) {
+                console.error(`Event bus listener for "${type}" failed:`, error);
+            }
+        });
+    }
+
+    clear() {
+        this.listeners.clear();
+    }
+}
+
+/**
+ * The bus every component on the page publishes to, created on first use
+ */
+export function getEventBus() {
+    if (!sharedBus) {
+        sharedBus = new EventBus();
+    }
+    return sharedBus;
+}
@@ -0,0 +1,345 @@
+/**
+ * CATALYST - ENTERPRISE INTELLIGENCE SOLUTIONS
+ * Declarative form validation
+ *
+ * Rules come from a schema keyed by field name, merged over whatever the
+ * markup already declares (required, minlength, maxlength, pattern,
+ * data-match), so a new field usually only needs its HTML:
+ *
+ *   {
+ *       email: { required: true, pattern: /^[^\s@]+@[^\s@]+$/ },
+ *       confirmEmail: { match: 'email' },
+ *       company: { validate: async (value, values) => value !== 'ACME' || 'Nice try.' },
+ *       phone: { minLength: 7, messages: { minLength: 'That number looks too short.' } }
+ *   }
+ *
+ * `validate` may return (or resolve to) true/undefined for a valid value,
+ * false for the generic message, or a string to show instead. Errors are
+ * rendered under the field's .form__group and wired up with aria-invalid
+ * and aria-describedby; for a group of radio buttons, on the
+ * role="radiogroup" element around them.
+ *
+ * `options.messages` supplies message builders per rule, e.g. to translate
+ * them; each is called as (label, rule, validator, name) and may return
+ * null to fall back to the built-in English message.
+ */
+
+const RULE_ORDER = ['required', 'minLength', 'maxLength', 'pattern', 'match', 'validate'];
+
+const DEFAULT_MESSAGES = {
+    required: (label) => `${label} is required.`,
+    minLength: (label, rule) => `${label} must be at least ${rule.minLength} characters.`,
+    maxLength: (label, rule) => `${label} must be ${rule.maxLength} characters or fewer.`,
+    pattern: (label) => `Please enter a valid ${label.toLowerCase()}.`,
+    match: (label, rule, validator) => `${label} must match ${validator.getLabel(rule.match)}.`,
+    validate: (label) => `Please check ${label.toLowerCase()}.`
+};
+
+/**
+ * Compile a pattern attribute the way browsers do (anchored, `v` flag, or
+ * `u` where `v` is not supported yet)
+ *
+ * @returns {RegExp|null} null when the pattern is invalid, which browsers
+ *   also treat as no pattern at all
+ */
+function compilePattern(source) {
+    for (const flags of ['v', 'u']) {
+        try {
+            return new RegExp(`^(?:${source})$`, flags);
+        } catch (error) {
+            // Try the next flag, or give up below
+        }
+    }
+
+    console.warn(`Ignoring invalid pattern: ${source}`);
+    return null;
+}
+
+export class FormValidator {
+    constructor(form, schema = {}, options = {}) {
+        this.form = form;
+        this.options = {
+            groupSelector: '.form__group',
+            errorClass: 'form__error',
+            validateOnBlur: true,
+            ...options
+        };
+
+        this.schema = this.buildSchema(schema);
+        this.errors = {};
+        this.touched = new Set();
+        this.pending = {};
+
+        this.handleBlur = (e) => this.onBlur(e);
+        this.handleInput = (e) => this.onInput(e);
+
+        // The browser's own bubbles would pre-empt the inline messages
+        this.form.noValidate = true;
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        if (this.options.validateOnBlur) {
+            this.form.addEventListener('focusout', this.handleBlur);
+        }
+        this.form.addEventListener('input', this.handleInput);
+    }
+
+    buildSchema(schema) {
+        const merged = {};
+
+        Array.from(this.form.elements).forEach(field => {
+            if (!field.name || field.type === 'submit' || field.type === 'hidden') return;
+
+            const rules = {};
+            if (field.required) rules.required = true;
+            if (field.minLength > 0) rules.minLength = field.minLength;
+            if (field.maxLength > 0) rules.maxLength = field.maxLength;
+            if (field.getAttribute('pattern')) rules.pattern = field.getAttribute('pattern');
+            if (field.dataset.match) rules.match = field.dataset.match;
+
+            merged[field.name] = rules;
+        });
+
+        Object.keys(schema).forEach(name => {
+            merged[name] = { ...merged[name], ...schema[name] };
+        });
+
+        // Compile string patterns once, so a bad one can't break validate()
+        Object.values(merged).forEach(rules => {
+            if (typeof rules.pattern !== 'string') return;
+
+            const pattern = compilePattern(rules.pattern);
+            if (pattern) {
+                rules.pattern = pattern;
+            } else {
+                delete rules.pattern;
+            }
+        });
+
+        return merged;
+    }
+
+    getField(name) {
+        return this.form.elements.namedItem(name);
+    }
+
+    /**
+     * The element that shows a field's error state: the field, or for radio
+     * buttons (a RadioNodeList) the role="radiogroup" around them
+     */
+    getErrorTarget(name) {
+        const field = this.getField(name);
+        if (field && !field.tagName) {
+            return field[0] ? field[0].closest('[role="radiogroup"]') : null;
+        }
+        return field;
+    }
+
+    getValues() {
+        const values = {};
+        new FormData(this.form).forEach((value, key) => {
+            values[key] = typeof value === 'string' ? value.trim() : value;
+        });
+        return values;
+    }
+
+    getLabel(name) {
+        const field = this.getErrorTarget(name);
+        const labelledBy = field && field.getAttribute('aria-labelledby');
+        const label = labelledBy
+            ? document.getElementById(labelledBy)
+            : field && field.id && this.form.querySelector(`label[for="${field.id}"]`);
+        const rule = this.schema[name];
+
+        if (rule && rule.label) return rule.label;
+        if (label) return label.textContent.replace(/\*/g, '').trim();
+        return name;
+    }
+
+    /**
+     * Validate one field. Resolves to the error message, or null when valid.
+     */
+    async validateField(name) {
+        const rule = this.schema[name];
+        if (!rule || !this.getField(name)) return null;
+
+        const values = this.getValues();
+        const value = values[name] || '';
+        const token = (this.pending[name] || 0) + 1;
+        this.pending[name] = token;
+
+        let message = null;
+
+        for (const ruleName of RULE_ORDER) {
+            if (rule[ruleName] === undefined || rule[ruleName] === false) continue;
+
+            // Empty optional fields only need to pass `required`
+            if (ruleName !== 'required' && value === '') break;
+
+            const result = await this.checkRule(ruleName, rule, value, values);
+            if (result !== true) {
+                message = typeof result === 'string' ? result : this.getMessage(name, ruleName);
+                break;
+            }
+        }
+
+        // A newer check for this field started while we were waiting
+        if (this.pending[name] !== token) return this.errors[name] || null;
+
+        this.setError(name, message);
+        return message;
+    }
+
+    /**
+     * Validate every field in the schema, or just `names`. Resolves to true
+     * when they're valid; otherwise focuses the first invalid field.
+     *
+     * @param {Array<string>} [names]
+     */
+    async validate(names = Object.keys(this.schema)) {
+        names.forEach(name => this.touched.add(name));
+
+        const results = await Promise.all(names.map(name => this.validateField(name)));
+        const firstInvalid = names.find((name, index) => results[index]);
+
+        if (firstInvalid) {
+            let field = this.getField(firstInvalid);
+            // The chosen radio button, or else the first
+            if (field && !field.tagName) {
+                field = Array.from(field).find(radio => radio.checked) || field[0];
+            }
+            if (field && typeof field.focus === 'function') field.focus();
+            return false;
+        }
+
+        return true;
+    }
+
+    async checkRule(ruleName, rule, value, values) {
+        switch (ruleName) {
+            case 'required':
+                return value !== '';
+            case 'minLength':
+                return value.length >= rule.minLength;
+            case 'maxLength':
+                return value.length <= rule.maxLength;
+            case 'pattern':
+                return rule.pattern.test(value);
+            case 'match':
+                return value === (values[rule.match] || '');
+            case 'validate': {
+                try {
+                    const result = await rule.validate(value, values);
+                    return result === undefined || result === null ? true : result;
+                } catch (error) {
+                    console.warn('Custom validation check failed:', error);
+                    return false;
+                }
+            }
+            default:
+                return true;
+        }
+    }
+
+    getMessage(name, ruleName) {
+        const rule = this.schema[name];
+        const custom = rule.messages && rule.messages[ruleName];
+        const label = this.getLabel(name);
+
+        if (typeof custom === 'function') return custom(label, rule, this, name);
+        if (custom) return custom;
+
+        const build = this.options.messages && this.options.messages[ruleName];
+        return (build && build(label, rule, this, name)) || DEFAULT_MESSAGES[ruleName](label, rule, this);
+    }
+
+    setError(name, message) {
+        const field = this.getErrorTarget(name);
+        if (!field || !field.id) return;
+
+        const errorId = `${field.id}-error`;
+        let errorElement = document.getElementById(errorId);
+
+        if (message) {
+            this.errors[name] = message;
+
+            if (!errorElement) {
+                const group = field.closest(this.options.groupSelector) || field.parentNode;
+                errorElement = document.createElement('p');
+                errorElement.id = errorId;
+                errorElement.className = this.options.errorClass;
+                group.appendChild(errorElement);
+            }
+
+            errorElement.textContent = message;
+            field.setAttribute('aria-invalid', 'true');
+            this.addDescribedBy(field, errorId);
+        } else {
+            delete this.errors[name];
+
+            if (errorElement) {
+                errorElement.remove();
+            }
+
+            field.removeAttribute('aria-invalid');
+            this.removeDescribedBy(field, errorId);
+        }
+    }
+
+    addDescribedBy(field, id) {
+        const ids = (field.getAttribute('aria-describedby') || '').split(/\s+/).filter(Boolean);
+        if (!ids.includes(id)) {
+            ids.push(id);
+            field.setAttribute('aria-describedby', ids.join(' '));
+        }
+    }
+
+    removeDescribedBy(field, id) {
+        const ids = (field.getAttribute('aria-describedby') || '').split(/\s+/).filter(token => token && token !== id);
+        if (ids.length) {
+            field.setAttribute('aria-describedby', ids.join(' '));
+        } else {
+            field.removeAttribute('aria-describedby');
+        }
+    }
+
+    onBlur(e) {
+        const name = e.target.name;
+        if (!name || !this.schema[name]) return;
+
+        // Don't nag about a field the visitor merely tabbed through untouched
+        if (e.target.value === '' && !this.touched.has(name)) return;
+
+        this.touched.add(name);
+        this.validateField(name);
+    }
+
+    onInput(e) {
+        const name = e.target.name;
+        if (!name) return;
+
+        // Once a field has shown an error, clear it as soon as it's fixed
+        if (this.errors[name]) {
+            this.validateField(name);
+        }
+
+        // Keep "must match" partners in step with the field they mirror
+        Object.keys(this.schema).forEach(other => {
+            if (this.schema[other].match === name && this.touched.has(other)) {
+                this.validateField(other);
+            }
+        });
+    }
+
+    reset() {
+        Object.keys(this.schema).forEach(name => this.setError(name, null));
+        this.touched.clear();
+    }
+
+    destroy() {
+        this.form.removeEventListener('focusout', this.handleBlur);
+        this.form.removeEventListener('input', this.handleInput);
+        this.reset();
+    }
+}
@@ -0,0 +1,365 @@
+/**
+ * CATALYST - ENTERPRISE INTELLIGENCE SOLUTIONS
+ * Internationalisation
+ *
+ * Copy lives in one JSON catalog per locale (locales/<code>.json), nested
+ * by section. The locale is the visitor's pick from a [data-locale-switcher]
+ * <select>, kept in localStorage, or else the best match for
+ * navigator.languages. The default locale's catalog backs up missing keys.
+ *
+ * Markup opts in with attributes:
+ *
+ *   <h3 data-i18n="contact.form.title">Send us a message</h3>
+ *   <h2 data-i18n-html="contact.title">Get in <span class="highlight">Touch</span></h2>
+ *   <input data-i18n-attr="placeholder:contact.form.email; aria-label:contact.form.emailLabel">
+ *   <p data-i18n="footer.text" data-i18n-params='{"year": "2025"}'>…</p>
+ *
+ * and scripts use the shared instance:
+ *
+ *   const i18n = getI18n();
+ *   i18n.t('contact.toast.sent');
+ *   i18n.t('contact.blocked.rateLimited', { count: 3 });   // plural forms
+ *
+ * Catalog strings interpolate {name} placeholders. A plural entry is an
+ * object of Intl.PluralRules categories ("one", "other", …), plus optional
+ * exact matches such as "=0", chosen by the `count` parameter.
+ *
+ * <html lang> and dir follow the locale, and an `i18n:change` event
+ * ({ locale, dir, previous }) is dispatched on document after each switch.
+ */
+
+import { CONFIG } from '../config.js';
+
+// Languages written right to left
+const RTL_LANGUAGES = ['ar', 'fa', 'he', 'ps', 'ur', 'yi'];
+
+let sharedI18n = null;
+
+function lookup(catalog, key) {
+    return key.split('.').reduce((node, part) => (
+        node !== undefined && node !== null ? node[part] : undefined
+    ), catalog);
+}
+
+/**
+ * Elements under `root` (and `root` itself) that match `selector`
+ */
+function queryAll(root, selector) {
+    const elements = Array.from(root.querySelectorAll(selector));
+    if (root.matches && root.matches(selector)) elements.unshift(root);
+    return elements;
+}
+
+export class I18n {
+    /**
+     * @param {Object} [options] - Overrides for CONFIG.i18n
+     */
+    constructor(options = {}) {
+        this.options = { ...CONFIG.i18n, ...options };
+        this.locale = null;
+        this.requests = new Map();
+        this.catalogs = {};
+        this.pluralRules = null;
+        this.numberFormat = null;
+        this.switchers = [];
+        this.pendingLocale = null;
+    }
+
+    /**
+     * Load the starting locale, translate the page and wire up switchers.
+     * Resolves once the page shows the chosen locale (or gave up on it).
+     */
+    async init() {
+        document.querySelectorAll('[data-locale-switcher]').forEach(select => this.bindSwitcher(select));
+
+        try {
+            await this.setLocale(this.detectLocale(), { persist: false });
+        } catch (error) {
+            console.warn('I18n: keeping the page copy as it is:', error.message);
+        }
+    }
+
+    get dir() {
+        return this.getDirection(this.locale || this.options.defaultLocale);
+    }
+
+    getLocales() {
+        return Object.keys(this.options.locales);
+    }
+
+    /**
+     * Closest supported locale for a language tag: an exact match, then the
+     * base language ("pt-BR" → "pt"), else null
+     */
+    match(tag) {
+        if (!tag) return null;
+
+        const locales = this.getLocales();
+        const lower = String(tag).toLowerCase();
+        const exact = locales.find(locale => locale.toLowerCase() === lower);
+        if (exact) return exact;
+
+        const base = lower.split('-')[0];
+        return locales.find(locale => locale.toLowerCase().split('-')[0] === base) || null;
+    }
+
+    detectLocale() {
+        try {
+            const stored = this.match(localStorage.getItem(this.options.storageKey));
+            if (stored) return stored;
+        } catch (error) {
+            // Storage blocked: fall through to the browser's languages
+        }
+
+        const preferred = navigator.languages && navigator.languages.length
+            ? navigator.languages
+            : [navigator.language];
+
+        for (const tag of preferred) {
+            const locale = this.match(tag);
+            if (locale) return locale;
+        }
+        return this.options.defaultLocale;
+    }
+
+    getDirection(locale) {
+        return RTL_LANGUAGES.includes(String(locale).toLowerCase().split('-')[0]) ? 'rtl' : 'ltr';
+    }
+
+    // ==========================================================================
+    // CATALOGS
+    // ==========================================================================
+
+    load(locale) {
+        if (!this.requests.has(locale)) {
+            const url = this.options.path.replace('{locale}', encodeURIComponent(locale));
+            const request = fetch(url)
+                .then(response => {
+                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                    return response.json();
+                })
+                .then(catalog => {
+                    this.catalogs[locale] = catalog;
+                    return catalog;
+                })
+                .catch(error => {
+                    // Let a later switch try again
+                    this.requests.delete(locale);
+                    throw new Error(`Could not load the "${locale}" catalog (${error.message})`);
+                });
+            this.requests.set(locale, request);
+        }
+        return this.requests.get(locale);
+    }
+
+    /**
+     * Switch locale: load its catalog, retranslate the page and announce it
+     *
+     * @param {string} tag - Locale code or any language tag that matches one
+     * @param {Object} [options]
+     * @param {boolean} [options.persist=true] - Remember the choice
+     */
+    async setLocale(tag, { persist = true } = {}) {
+        const locale = this.match(tag);
+        if (!locale) {
+            throw new Error(`Unsupported locale: ${tag}`);
+        }
+
+        this.pendingLocale = locale;
+        const fallback = this.load(this.options.defaultLocale).catch(error => {
+            console.warn('I18n:', error.message);
+        });
+        await Promise.all([this.load(locale), fallback]);
+
+        // Another switch started while this catalog was loading
+        if (this.pendingLocale !== locale) return;
+        this.pendingLocale = null;
+
+        if (persist) {
+            try {
+                localStorage.setItem(this.options.storageKey, locale);
+            } catch (error) {
+                // Private mode: the choice just won't outlive the page
+            }
+        }
+
+        const previous = this.locale;
+        this.locale = locale;
+        this.pluralRules = new Intl.PluralRules(locale);
+        this.numberFormat = new Intl.NumberFormat(locale);
+
+        const root = document.documentElement;
+        root.lang = locale;
+        root.dir = this.dir;
+
+        this.translate(document);
+        this.updateSwitchers();
+
+        document.dispatchEvent(new CustomEvent('i18n:change', {
+            detail: { locale, dir: this.dir, previous }
+        }));
+    }
+
+    /**
+     * Raw catalog entry (string, array, plural object…) for `key`, from the
+     * active catalog or else the default one
+     */
+    get(key) {
+        const active = this.locale ? lookup(this.catalogs[this.locale], key) : undefined;
+        return active !== undefined ? active : lookup(this.catalogs[this.options.defaultLocale], key);
+    }
+
+    has(key) {
+        return this.get(key) !== undefined;
+    }
+
+    /**
+     * Translated string for `key`. Given an array, the first key found
+     * wins. Unknown keys give `fallback`, or else the (first) key itself.
+     *
+     * @param {string|Array<string>} key
+     * @param {Object} [params] - Values for {placeholders}; `count` picks the plural form
+     * @param {string|null} [fallback] - Used while no catalog has the key
+     */
+    t(key, params = {}, fallback) {
+        const keys = Array.isArray(key) ? key : [key];
+        let value;
+
+        for (const candidate of keys) {
+            value = this.get(candidate);
+            if (value !== undefined) break;
+        }
+
+        if (value === undefined) {
+            if (fallback === undefined) return keys[0];
+            return typeof fallback === 'string' ? this.interpolate(fallback, params) : fallback;
+        }
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+            value = this.selectPlural(value, params.count);
+        }
+        return this.interpolate(String(value), params);
+    }
+
+    selectPlural(forms, count) {
+        if (count === undefined) return forms.other;
+
+        const exact = forms[`=${count}`];
+        if (exact !== undefined) return exact;
+
+        const rules = this.pluralRules || new Intl.PluralRules(this.options.defaultLocale);
+        const form = forms[rules.select(count)];
+        return form !== undefined ? form : forms.other;
+    }
+
+    interpolate(text, params) {
+        return text.replace(/\{(\w+)\}/g, (placeholder, name) => {
+            if (!(name in params)) return placeholder;
+
+            const value = params[name];
+            return typeof value === 'number' && this.numberFormat
+                ? this.numberFormat.format(value)
+                : String(value);
+        });
+    }
+
+    // ==========================================================================
+    // DOM
+    // ==========================================================================
+
+    /**
+     * Fill in every data-i18n* element under `root`. Elements whose key is
+     * missing from both catalogs keep the copy they have.
+     */
+    translate(root = document) {
+        const scope = root === document ? document.documentElement : root;
+
+        queryAll(scope, '[data-i18n]').forEach(element => {
+            const key = element.dataset.i18n;
+            if (this.has(key)) element.textContent = this.t(key, this.readParams(element));
+        });
+
+        // Catalogs are first-party files, so their markup is trusted
+        queryAll(scope, '[data-i18n-html]').forEach(element => {
+            const key = element.dataset.i18nHtml;
+            if (this.has(key)) element.innerHTML = this.t(key, this.readParams(element));
+        });
+
+        queryAll(scope, '[data-i18n-attr]').forEach(element => {
+            const params = this.readParams(element);
+            element.dataset.i18nAttr.split(';').forEach(pair => {
+                const [attribute, key] = pair.split(':').map(part => part && part.trim());
+                if (attribute && key && this.has(key)) {
+                    element.setAttribute(attribute, this.t(key, params));
+                }
+            });
+        });
+    }
+
+    readParams(element) {
+        if (!element.dataset.i18nParams) return {};
+
+        try {
+            return JSON.parse(element.dataset.i18nParams);
+        } catch (error) {
+            console.warn('I18n: ignoring malformed data-i18n-params:', error.message);
+            return {};
+        }
+    }
+
+    // ==========================================================================
+    // SWITCHER
+    // ==========================================================================
+
+    bindSwitcher(select) {
+        if (!select.options.length) {
+            Object.entries(this.options.locales).forEach(([code, name]) => {
+                const option = document.createElement('option');
+                option.value = code;
+                option.lang = code;
+                option.textContent = name;
+                select.appendChild(option);
+            });
+        }
+
+        const handleChange = () => {
+            this.setLocale(select.value).catch(error => {
+                console.warn('I18n:', error.message);
+                this.updateSwitchers();
+            });
+        };
+
+        select.addEventListener('change', handleChange);
+        this.switchers.push({ select, handleChange });
+
+        // Hidden in the markup so it doesn't show up empty without scripts
+        select.hidden = false;
+        this.updateSwitchers();
+    }
+
+    updateSwitchers() {
+        const locale = this.locale || this.options.defaultLocale;
+        this.switchers.forEach(({ select }) => {
+            select.value = locale;
+        });
+    }
+
+    destroy() {
+        this.switchers.forEach(({ select, handleChange }) => select.removeEventListener('change', handleChange));
+        this.switchers = [];
+        this.pendingLocale = null;
+
+        if (sharedI18n === this) {
+            sharedI18n = null;
+        }
+    }
+}
+
+/**
+ * The catalog every component on the page shares, created on first use
+ */
+export function getI18n() {
+    if (!sharedI18n) {
+        sharedI18n = new I18n();
+    }
+    return sharedI18n;
+}
@@ -0,0 +1,303 @@
+/**
+ * CATALYST - ENTERPRISE INTELLIGENCE SOLUTIONS
+ * Page Metadata
+ *
+ * Describes the page to search engines and link previews from the same
+ * content the sections are rendered from (see components/content-sections.js):
+ *
+ * - a JSON-LD graph in <head>: the Organization with a ContactPoint built
+ *   from the typed contact cards, a Service for every solution card and
+ *   contact service, and an FAQPage for the questions in the FAQ section;
+ * - <title>, og:* and twitter:* tags, following the locale and the section
+ *   in view (`section:change` from SmoothScrolling).
+ *
+ * Everything is rebuilt in the visitor's language on `i18n:change`.
+ */
+
+import { CONFIG } from '../config.js';
+
+const STRUCTURED_DATA_ID = 'catalyst-structured-data';
+
+/**
+ * Text of a catalog or content string that may hold markup
+ */
+function plainText(html) {
+    const template = document.createElement('template');
+    template.innerHTML = html;
+    return template.content.textContent.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * "pt-BR" → "pt_BR", as Open Graph writes locales
+ */
+function toOpenGraphLocale(locale) {
+    return String(locale).replace('-', '_');
+}
+
+export class PageMetadata {
+    /**
+     * @param {I18n} i18n
+     * @param {ContentSections} content - Its loaded content feeds the JSON-LD
+     * @param {Object} [options] - Overrides for CONFIG.metadata
+     */
+    constructor(i18n, content, options = {}) {
+        this.i18n = i18n;
+        this.contentSections = content;
+        this.options = { ...CONFIG.metadata, ...options };
+        this.sectionId = null;
+        this.isDestroyed = false;
+
+        // What the markup says, for anything the catalogs don't cover
+        const description = document.querySelector('meta[name="description"]');
+        this.defaults = {
+            title: document.title,
+            description: description ? description.content : ''
+        };
+        this.url = this.resolveUrl();
+
+        this.init();
+    }
+
+    init() {
+        this.bindEvents();
+        this.updateTags();
+
+        if (this.contentSections) {
+            this.contentSections.ready.then(() => {
+                if (!this.isDestroyed) this.updateStructuredData();
+            });
+        }
+    }
+
+    bindEvents() {
+        this.handleSectionChange = (e) => {
+            this.sectionId = e.detail.id;
+            this.updateTags();
+        };
+
+        this.handleLocaleChange = () => {
+            this.updateTags();
+            this.updateStructuredData();
+        };
+
+        this.handleContentRender = () => this.updateStructuredData();
+
+        document.addEventListener('section:change', this.handleSectionChange);
+        document.addEventListener('i18n:change', this.handleLocaleChange);
+        document.addEventListener('content:render', this.handleContentRender);
+    }
+
+    /**
+     * The page's public address, without a hash
+     */
+    resolveUrl() {
+        const canonical = document.querySelector('link[rel="canonical"]');
+        const ogUrl = document.querySelector('meta[property="og:url"]');
+        const url = this.options.url
+            || (canonical && canonical.href)
+            || (ogUrl && ogUrl.content)
+            || `${location.origin}${location.pathname}`;
+
+        // Normalised, so "https://example.com" gains its trailing slash
+        return new URL(url, location.href).href.split('#')[0];
+    }
+
+    /**
+     * Catalog string for `key`, or `fallback` without a key or catalog entry
+     */
+    t(key, fallback, params = {}) {
+        return key && this.i18n ? this.i18n.t(key, params, fallback) : fallback;
+    }
+
+    // ==========================================================================
+    // TITLE & SOCIAL TAGS
+    // ==========================================================================
+
+    isHome() {
+        const first = document.querySelector('main section[id]');
+        return !this.sectionId || Boolean(first && first.id === this.sectionId);
+    }
+
+    getTitle() {
+        const title = this.t('meta.title', this.defaults.title);
+        if (this.isHome()) return title;
+
+        // The nav names the sections; their headings can run long
+        const link = document.querySelector(`.nav__link[href="#${this.sectionId}"]`);
+        const section = this.t(`nav.${this.sectionId}`, link ? link.textContent.trim() : this.sectionId);
+        return this.t('meta.sectionTitle', `{section} | ${title}`, { section });
+    }
+
+    updateTags() {
+        const title = this.getTitle();
+        const description = this.t('meta.description', this.defaults.description);
+        const locale = (this.i18n && this.i18n.locale) || document.documentElement.lang;
+
+        document.title = title;
+
+        this.setMeta('property', 'og:title', title);
+        this.setMeta('property', 'og:description', description);
+        this.setMeta('property', 'og:url', this.isHome() ? this.url : `${this.url}#${this.sectionId}`);
+        this.setMeta('name', 'twitter:card', this.options.twitterCard);
+        this.setMeta('name', 'twitter:title', title);
+        this.setMeta('name', 'twitter:description', description);
+
+        if (locale) {
+            this.setMeta('property', 'og:locale', toOpenGraphLocale(locale));
+            this.setAlternateLocales(Object.keys(CONFIG.i18n.locales).filter(other => other !== locale));
+        }
+    }
+
+    setMeta(attribute, name, content) {
+        let meta = document.head.querySelector(`meta[${attribute}="${name}"]`);
+        if (!meta) {
+            meta = document.createElement('meta');
+            meta.setAttribute(attribute, name);
+            document.head.appendChild(meta);
+        }
+        meta.setAttribute('content', content);
+    }
+
+    setAlternateLocales(locales) {
+        document.head.querySelectorAll('meta[property="og:locale:alternate"]').forEach(meta => meta.remove());
+
+        locales.forEach(locale => {
+            const meta = document.createElement('meta');
+            meta.setAttribute('property', 'og:locale:alternate');
+            meta.setAttribute('content', toOpenGraphLocale(locale));
+            document.head.appendChild(meta);
+        });
+    }
+
+    // ==========================================================================
+    // STRUCTURED DATA
+    // ==========================================================================
+
+    updateStructuredData() {
+        const content = this.contentSections && this.contentSections.content;
+        if (!content) return;
+
+        let script = document.getElementById(STRUCTURED_DATA_ID);
+        if (!script) {
+            script = document.createElement('script');
+            script.type = 'application/ld+json';
+            script.id = STRUCTURED_DATA_ID;
+            document.head.appendChild(script);
+        }
+
+        script.textContent = JSON.stringify(this.buildStructuredData(content));
+    }
+
+    /**
+     * @param {Object} content - As loaded by ContentSections
+     * @returns {Object} A schema.org JSON-LD graph
+     */
+    buildStructuredData(content) {
+        const organization = this.buildOrganization(content);
+        const graph = [organization, ...this.buildServices(content, organization['@id'])];
+
+        const faq = this.buildFaq(content.faq);
+        if (faq) graph.push(faq);
+
+        return { '@context': 'https://schema.org', '@graph': graph };
+    }
+
+    buildOrganization(content) {
+        const details = content.organization || {};
+        const organization = {
+            '@type': 'Organization',
+            '@id': `${this.url}#organization`,
+            name: details.name || this.defaults.title,
+            url: details.url || this.url,
+            description: this.t('meta.description', this.defaults.description)
+        };
+        if (details.logo) organization.logo = new URL(details.logo, this.url).href;
+
+        // Cards without a value aren't on the page either
+        const contact = {};
+        (Array.isArray(content.contactCards) ? content.contactCards : [])
+            .filter(card => card && card.type && card.value)
+            .forEach(card => {
+                contact[card.type] = card.value;
+            });
+
+        if (contact.email) organization.email = contact.email;
+        if (contact.phone) organization.telephone = contact.phone;
+        if (contact.address) organization.address = contact.address;
+
+        if (contact.email || contact.phone) {
+            organization.contactPoint = {
+                '@type': 'ContactPoint',
+                contactType: this.options.contactType,
+                ...(contact.email && { email: contact.email }),
+                ...(contact.phone && { telephone: contact.phone }),
+                url: `${this.url}#contact`,
+                availableLanguage: Object.values(CONFIG.i18n.locales)
+            };
+        }
+
+        return organization;
+    }
+
+    buildServices(content, providerId) {
+        const provider = { '@id': providerId };
+        const list = items => (Array.isArray(items) ? items.filter(Boolean) : []);
+
+        const solutions = list(content.solutions).map(card => ({
+            '@type': 'Service',
+            name: this.t(card.i18n && `${card.i18n}.title`, card.title),
+            description: plainText(this.t(card.i18n && `${card.i18n}.text`, card.text || '')),
+            provider,
+            url: `${this.url}#solutions`
+        }));
+
+        const services = list(content.contactServices).map(service => {
+            const node = {
+                '@type': 'Service',
+                name: this.t(service.i18n, service.label),
+                provider,
+                url: `${this.url}#contact`
+            };
+            if (service.description) node.description = plainText(service.description);
+            return node;
+        });
+
+        return [...solutions, ...services].filter(service => service.name);
+    }
+
+    /**
+     * Only once the FAQ section is on the page: FAQPage markup has to
+     * describe questions the visitor can read
+     */
+    buildFaq(items) {
+        if (!document.querySelector('.faq__list')) return null;
+
+        const questions = (Array.isArray(items) ? items : [])
+            .filter(item => item && item.question && item.answer)
+            .map(item => ({
+                '@type': 'Question',
+                name: this.t(item.i18n && `${item.i18n}.question`, item.question),
+                acceptedAnswer: {
+                    '@type': 'Answer',
+                    text: this.t(item.i18n && `${item.i18n}.answer`, item.answer)
+                }
+            }));
+
+        if (!questions.length) return null;
+
+        return {
+            '@type': 'FAQPage',
+            '@id': `${this.url}#faq`,
+            inLanguage: (this.i18n && this.i18n.locale) || document.documentElement.lang,
+            mainEntity: questions
+        };
+    }
+
+    destroy() {
+        this.isDestroyed = true;
+
+        document.removeEventListener('section:change', this.handleSectionChange);
+        document.removeEventListener('i18n:change', this.handleLocaleChange);
+        document.removeEventListener('content:render', this.handleContentRender);
+    }
+}
@@ -0,0 +1,251 @@
+/**
+ * CATALYST - ENTERPRISE INTELLIGENCE SOLUTIONS
+ * Performance Governor
+ *
+ * Picks how rich the background effects may be: "low", "medium" or
+ * "high" (CONFIG.performance.tiers). The first guess comes from the
+ * device (CPU cores, memory); Save-Data caps it at "low". Once init() has
+ * run, the frame times the canvas renderer reports (`renderer:frames`, from
+ * the worker or the main thread, wherever the effects are drawn) step the
+ * tier down when frames run slow, and back up after a while of running
+ * smoothly.
+ *
+ *   const settings = getPerformanceGovernor().getSettings();
+ *   // { particles: 0.6, dots: 0.6, shapeExtras: 6, glow: 8 }
+ *
+ * Effects scale themselves by these settings; CSS can key off
+ * <html data-performance="low">. A `performance:change` event
+ * ({ tier, previous, settings, reason }) is dispatched on document after
+ * every change. Setting CONFIG.performance.tier, or calling setTier(),
+ * pins the tier and stops the measuring.
+ */
+
+import { CONFIG } from '../config.js';
+
+// Cheapest first
+export const PERFORMANCE_TIERS = ['low', 'medium', 'high'];
+
+let sharedGovernor = null;
+
+export class PerformanceGovernor {
+    /**
+     * @param {Object} [options] - Overrides for CONFIG.performance
+     */
+    constructor(options = {}) {
+        this.overrides = options;
+        this.options = { ...CONFIG.performance, ...options };
+
+        this.ceiling = this.detectCeiling();
+
+        // What fixed the tier, if anything: 'config' or setTier()'s reason
+        this.pinnedBy = this.options.tier ? 'config' : null;
+        this.tier = this.pinnedBy ? this.checkTier(this.options.tier) : this.detectTier();
+
+        this.isMeasuring = false;
+        this.sample = { total: 0, count: 0 };
+        this.smoothWindows = 0;
+        this.isRunning = false;
+
+        document.documentElement.dataset.performance = this.tier;
+    }
+
+    /**
+     * Start measuring frame times and following configuration changes
+     */
+    init() {
+        if (this.isRunning) return;
+        this.isRunning = true;
+
+        this.handleFrames = (e) => this.measure(e.detail);
+
+        this.handleVisibilityChange = () => {
+            if (document.hidden) {
+                this.stopMeasuring();
+            } else {
+                this.startMeasuring();
+            }
+        };
+
+        this.handleConfigChange = (e) => {
+            if (!e.detail.sections.includes('performance')) return;
+
+            const previous = this.tier;
+            this.options = { ...CONFIG.performance, ...this.overrides };
+
+            if (this.options.tier) {
+                this.setTier(this.options.tier, { reason: 'config' });
+            } else if (this.pinnedBy === 'config') {
+                this.pinnedBy = null;
+                this.startMeasuring();
+            }
+
+            // The tier's settings may have changed even if the tier hasn't
+            if (this.tier === previous) this.announce(previous, 'config');
+        };
+
+        document.addEventListener('renderer:frames', this.handleFrames);
+        document.addEventListener('visibilitychange', this.handleVisibilityChange);
+        document.addEventListener('config:change', this.handleConfigChange);
+
+        if (!document.hidden) this.startMeasuring();
+    }
+
+    // ==========================================================================
+    // DEVICE
+    // ==========================================================================
+
+    /**
+     * Highest tier allowed: a visitor asking to save data gets the lightest effects
+     */
+    detectCeiling() {
+        const connection = navigator.connection;
+        return connection && connection.saveData ? 'low' : 'high';
+    }
+
+    detectTier() {
+        // Either is undefined where the browser doesn't say
+        const cores = navigator.hardwareConcurrency;
+        const memory = navigator.deviceMemory;
+
+        let tier = 'high';
+        if (cores <= 2 || memory <= 2) {
+            tier = 'low';
+        } else if (cores <= 4 || memory <= 4) {
+            tier = 'medium';
+        }
+
+        return this.limit(tier);
+    }
+
+    limit(tier) {
+        return PERFORMANCE_TIERS[Math.min(PERFORMANCE_TIERS.indexOf(tier), PERFORMANCE_TIERS.indexOf(this.ceiling))];
+    }
+
+    checkTier(tier) {
+        if (!PERFORMANCE_TIERS.includes(tier)) {
+            throw new Error(`Unknown performance tier: ${tier}`);
+        }
+        return tier;
+    }
+
+    // ==========================================================================
+    // FRAME TIME
+    // ==========================================================================
+
+    startMeasuring() {
+        if (this.isMeasuring || this.pinnedBy || !this.isRunning) return;
+
+        this.isMeasuring = true;
+        this.sample = { total: 0, count: 0 };
+    }
+
+    stopMeasuring() {
+        this.isMeasuring = false;
+    }
+
+    /**
+     * @param {Object} stats - { total, count }: milliseconds over `count` frames
+     */
+    measure({ total, count }) {
+        if (!this.isMeasuring || !count) return;
+
+        this.sample.total += total;
+        this.sample.count += count;
+
+        if (this.sample.total >= this.options.sampleWindow) {
+            this.evaluate(this.sample.total / this.sample.count);
+            this.sample = { total: 0, count: 0 };
+        }
+    }
+
+    /**
+     * @param {number} frameTime - Average milliseconds per frame over the window
+     */
+    evaluate(frameTime) {
+        const index = PERFORMANCE_TIERS.indexOf(this.tier);
+
+        if (frameTime > this.options.slowFrame) {
+            this.smoothWindows = 0;
+            if (index > 0) this.changeTier(PERFORMANCE_TIERS[index - 1], 'frame-time');
+            return;
+        }
+
+        if (frameTime >= this.options.fastFrame) {
+            this.smoothWindows = 0;
+            return;
+        }
+
+        // Step up slowly, so a tier that only just copes isn't flipped back and forth
+        if (++this.smoothWindows >= this.options.upgradeAfter) {
+            this.smoothWindows = 0;
+            const next = this.limit(PERFORMANCE_TIERS[Math.min(index + 1, PERFORMANCE_TIERS.length - 1)]);
+            if (next !== this.tier) this.changeTier(next, 'frame-time');
+        }
+    }
+
+    // ==========================================================================
+    // TIERS
+    // ==========================================================================
+
+    /**
+     * Scaling for the current tier, from CONFIG.performance.tiers
+     */
+    getSettings() {
+        return { ...this.options.tiers[this.tier] };
+    }
+
+    /**
+     * Pin a tier, e.g. from a "reduce effects" control; measuring stops
+     */
+    setTier(tier, { reason = 'manual' } = {}) {
+        this.checkTier(tier);
+        this.pinnedBy = reason;
+        this.stopMeasuring();
+        this.changeTier(tier, reason);
+    }
+
+    changeTier(tier, reason) {
+        if (tier === this.tier) return;
+
+        const previous = this.tier;
+        this.tier = tier;
+        this.smoothWindows = 0;
+        document.documentElement.dataset.performance = tier;
+
+        this.announce(previous, reason);
+    }
+
+    announce(previous, reason) {
+        document.dispatchEvent(new CustomEvent('performance:change', {
+            detail: {
+                tier: this.tier,
+                previous,
+                settings: this.getSettings(),
+                reason
+            }
+        }));
+    }
+
+    destroy() {
+        this.stopMeasuring();
+        this.isRunning = false;
+
+        document.removeEventListener('renderer:frames', this.handleFrames);
+        document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+        document.removeEventListener('config:change', this.handleConfigChange);
+
+        if (sharedGovernor === this) {
+            sharedGovernor = null;
+        }
+    }
+}
+
+/**
+ * The governor every effect on the page follows, created on first use
+ */
+export function getPerformanceGovernor() {
+    if (!sharedGovernor) {
+        sharedGovernor = new PerformanceGovernor();
+    }
+    return sharedGovernor;
+}
@@ -0,0 +1,461 @@
+/**
+ * CATALYST - ENTERPRISE INTELLIGENCE SOLUTIONS
+ * Runtime Configuration
+ *
+ * Lets a landing page tune CONFIG without touching the scripts. Sources,
+ * later ones winning:
+ *
+ *   1. the defaults in config.js
+ *   2. a JSON block:   <script type="application/json" id="catalyst-config">
+ *                        { "particles": { "count": 80 } }
+ *                      </script>
+ *   3. attributes on <html> or <body>, the path spelled in kebab case:
+ *                      <body data-catalyst-particles-count="80"
+ *                            data-catalyst-typing-delete-speed="40">
+ *   4. code:           CatalystApp.configure({ dots: { max: 10 } })
+ *
+ * Values are checked against the type of their default and the limits in
+ * RULES. Bad values from the markup are skipped with a warning; configure()
+ * throws a ConfigError and changes nothing. CONFIG is updated in place, so
+ * everything reading it sees the new values, and a `config:change` event
+ * ({ changed: ['particles.count', …], sections: ['particles', …] }) is
+ * dispatched on document for components that need to redraw.
+ */
+
+import { CONFIG } from '../config.js';
+
+// Objects whose keys are open-ended; each entry replaces one key
+const OPEN_PATHS = ['i18n.locales', 'contact.schema', 'contact.wizard.schema'];
+
+// Limits beyond matching the default's type
+const RULES = {
+    'breakpoints.mobile': { min: 0, integer: true },
+    'breakpoints.tablet': { min: 0, integer: true },
+    'animation.duration': { min: 0 },
+    'scroll.offset': { min: 0 },
+    'scroll.threshold': { min: 0 },
+    'particles.count': { min: 0, max: 500, integer: true },
+    'particles.speed': { min: 0, max: 10 },
+    'particles.size.min': { min: 0 },
+    'particles.size.max': { min: 0 },
+    'performance.tier': { oneOf: [null, 'low', 'medium', 'high'] },
+    'performance.sampleWindow': { min: 100 },
+    'performance.slowFrame': { min: 1 },
+    'performance.fastFrame': { min: 1 },
+    'performance.upgradeAfter': { min: 1, integer: true },
+    'dots.max': { min: 0, max: 200, integer: true },
+    'dots.reducedMotionMax': { min: 0, max: 200, integer: true },
+    'shapes.count': { min: 1, integer: true },
+    'typing.speed': { min: 0 },
+    'typing.deleteSpeed': { min: 0 },
+    'typing.pauseTime': { min: 0 },
+    'typing.phraseDelay': { min: 0 },
+    'typing.loop': { min: 1 },
+    'typing.typoChance': { min: 0, max: 1 },
+    'metadata.twitterCard': { oneOf: ['summary', 'summary_large_image'] },
+    'stats.duration': { min: 0 },
+    'stats.threshold': { min: 0, max: 1 },
+    'toast.max': { min: 1, integer: true },
+    'toast.duration': { min: 0 },
+    'toast.errorDuration': { min: 0 },
+    'analytics.adapter': { oneOf: [null, 'beacon', 'console', 'none'] },
+    'analytics.batchSize': { min: 1, integer: true },
+    'analytics.flushInterval': { min: 0 },
+    'errors.maxBreadcrumbs': { min: 0, integer: true },
+    'errors.dedupeWindow': { min: 0 },
+    'errors.rateLimit.max': { min: 0, integer: true },
+    'errors.rateLimit.window': { min: 0 },
+    'errors.maxStored': { min: 0, integer: true },
+    'contact.transport': { oneOf: [null, 'json', 'mailto'] },
+    'contact.timeout': { min: 0 },
+    'contact.wizard.draftMaxAge': { min: 0 },
+    'contact.wizard.autosaveDelay': { min: 0 },
+    'scheduler.slotDuration': { min: 60 * 1000 },
+    'scheduler.minNotice': { min: 0 },
+    'scheduler.daysAhead': { min: 1, max: 365, integer: true }
+};
+
+// Checks across settings, run on the merged result
+const CROSS_CHECKS = [
+    config => config.breakpoints.mobile < config.breakpoints.tablet ||
+        'breakpoints.mobile must be below breakpoints.tablet',
+    config => config.particles.size.min <= config.particles.size.max ||
+        'particles.size.min must not exceed particles.size.max',
+    config => config.performance.fastFrame < config.performance.slowFrame ||
+        'performance.fastFrame must be below performance.slowFrame'
+];
+
+let sharedConfig = null;
+
+export class ConfigError extends Error {
+    /**
+     * @param {string[]} problems
+     */
+    constructor(problems) {
+        super(`Invalid configuration: ${problems.join('; ')}`);
+        this.name = 'ConfigError';
+        this.problems = problems;
+    }
+}
+
+// ==========================================================================
+// HELPERS
+// ==========================================================================
+
+function isPlainObject(value) {
+    return Object.prototype.toString.call(value) === '[object Object]';
+}
+
+function isOpenPath(path) {
+    return OPEN_PATHS.includes(path);
+}
+
+/**
+ * Copy plain objects and arrays; RegExps, functions and the like are shared
+ */
+function clone(value) {
+    if (Array.isArray(value)) return value.map(clone);
+    if (!isPlainObject(value)) return value;
+
+    const copy = {};
+    Object.keys(value).forEach(key => {
+        copy[key] = clone(value[key]);
+    });
+    return copy;
+}
+
+/**
+ * Every setting in `tree` as [path, value]. Arrays count as one value, as
+ * does each entry of an open-ended object.
+ */
+function flatten(tree, prefix = '') {
+    const entries = [];
+
+    Object.keys(tree).forEach(key => {
+        const path = prefix ? `${prefix}.${key}` : key;
+        const value = tree[key];
+
+        if (isPlainObject(value) && !isOpenPath(prefix)) {
+            entries.push(...flatten(value, path));
+        } else {
+            entries.push([path, value]);
+        }
+    });
+
+    return entries;
+}
+
+function getPath(tree, path) {
+    return path.split('.').reduce((node, key) => (node == null ? undefined : node[key]), tree);
+}
+
+function setPath(tree, path, value) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((node, key) => {
+        if (!isPlainObject(node[key])) node[key] = {};
+        return node[key];
+    }, tree);
+
+    if (value === undefined) {
+        delete parent[last];
+    } else {
+        parent[last] = value;
+    }
+}
+
+function isEqual(a, b) {
+    if (Object.is(a, b)) return true;
+
+    if (Array.isArray(a) && Array.isArray(b)) {
+        return a.length === b.length && a.every((item, index) => isEqual(item, b[index]));
+    }
+    if (isPlainObject(a) && isPlainObject(b)) {
+        const keys = Object.keys(a);
+        return keys.length === Object.keys(b).length && keys.every(key => isEqual(a[key], b[key]));
+    }
+    return false;
+}
+
+function describeType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (value instanceof RegExp) return 'RegExp';
+    return typeof value;
+}
+
+// ==========================================================================
+// RUNTIME CONFIG
+// ==========================================================================
+
+export class RuntimeConfig {
+    /**
+     * @param {Object} [target] - The object to keep up to date; CONFIG by default
+     */
+    constructor(target = CONFIG) {
+        this.target = target;
+        this.defaults = clone(target);
+
+        // Settings from each source, as { path: value }
+        this.layers = {
+            json: {},
+            attributes: {},
+            runtime: {}
+        };
+    }
+
+    get(path) {
+        return getPath(this.target, path);
+    }
+
+    /**
+     * Read the JSON block and data-catalyst-* attributes. Bad entries are
+     * left out with a warning.
+     */
+    loadFromDocument(doc = document) {
+        const layers = {
+            ...this.layers,
+            json: this.readJson(doc),
+            attributes: this.readAttributes(doc)
+        };
+
+        try {
+            this.apply(layers);
+        } catch (error) {
+            console.warn('Ignoring the page configuration:', error.message);
+            this.apply({ ...layers, json: {}, attributes: {} });
+        }
+    }
+
+    readJson(doc) {
+        const block = doc.getElementById('catalyst-config');
+        if (!block) return {};
+
+        let overrides;
+        try {
+            overrides = JSON.parse(block.textContent);
+        } catch (error) {
+            console.warn('#catalyst-config is not valid JSON:', error.message);
+            return {};
+        }
+
+        if (!isPlainObject(overrides)) {
+            console.warn('#catalyst-config should hold an object');
+            return {};
+        }
+
+        return this.collect(overrides, problem => console.warn(`#catalyst-config: ${problem}`));
+    }
+
+    readAttributes(doc) {
+        const settings = {};
+
+        [doc.documentElement, doc.body].forEach(element => {
+            if (!element) return;
+
+            Object.keys(element.dataset).forEach(name => {
+                if (!name.startsWith('catalyst') || name === 'catalyst') return;
+
+                const attribute = `data-${name.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)}`;
+                const path = this.resolveAttribute(name.slice('catalyst'.length));
+                if (!path) {
+                    console.warn(`${attribute}: no such setting`);
+                    return;
+                }
+
+                const value = this.coerce(element.dataset[name], getPath(this.defaults, path));
+                const problem = this.check(path, value);
+                if (problem) {
+                    console.warn(`${attribute}: ${problem}`);
+                } else {
+                    settings[path] = value;
+                }
+            });
+        });
+
+        return settings;
+    }
+
+    /**
+     * Map the camel-cased rest of a dataset name ("TypingDeleteSpeed") to a
+     * setting path ("typing.deleteSpeed") by walking the defaults
+     */
+    resolveAttribute(rest, node = this.defaults, prefix = '') {
+        if (!rest) return null;
+
+        const keys = Object.keys(node).sort((a, b) => b.length - a.length);
+
+        for (const key of keys) {
+            const spelled = key.charAt(0).toUpperCase() + key.slice(1);
+            if (!rest.startsWith(spelled)) continue;
+
+            const path = prefix ? `${prefix}.${key}` : key;
+            const remainder = rest.slice(spelled.length);
+
+            if (!remainder && !(isPlainObject(node[key]) && !isOpenPath(prefix))) {
+                return path;
+            }
+            if (remainder && isPlainObject(node[key])) {
+                if (isOpenPath(path)) {
+                    return `${path}.${remainder.charAt(0).toLowerCase()}${remainder.slice(1)}`;
+                }
+                const nested = this.resolveAttribute(remainder, node[key], path);
+                if (nested) return nested;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Attribute values are strings; read them as the default's type
+     */
+    coerce(raw, fallback) {
+        switch (describeType(fallback)) {
+            case 'number':
+                return raw.trim() === '' ? NaN : Number(raw);
+            case 'boolean':
+                return raw === '' || raw === 'true' ? true : raw === 'false' ? false : raw;
+            case 'string':
+                return raw;
+            default:
+                try {
+                    return JSON.parse(raw);
+                } catch (error) {
+                    return raw;
+                }
+        }
+    }
+
+    // ==========================================================================
+    // VALIDATION
+    // ==========================================================================
+
+    /**
+     * Flatten `overrides` to { path: value }, passing each bad entry to `onProblem`
+     */
+    collect(overrides, onProblem) {
+        const settings = {};
+
+        flatten(overrides).forEach(([path, value]) => {
+            const problem = this.check(path, value);
+            if (problem) {
+                onProblem(problem);
+            } else {
+                settings[path] = value;
+            }
+        });
+
+        return settings;
+    }
+
+    /**
+     * @returns {string|null} What's wrong with `value` for `path`, if anything
+     */
+    check(path, value) {
+        const parent = path.slice(0, path.lastIndexOf('.'));
+        const fallback = getPath(this.defaults, path);
+
+        if (isOpenPath(parent)) return null;
+
+        if (fallback === undefined) {
+            return `${path} is not a setting`;
+        }
+
+        const rule = RULES[path] || {};
+
+        if (rule.oneOf) {
+            return rule.oneOf.includes(value) ? null : `${path} must be one of ${rule.oneOf.map(String).join(', ')}`;
+        }
+
+        const expected = describeType(fallback);
+        if (expected !== 'null' && describeType(value) !== expected) {
+            return `${path} must be of type ${expected}`;
+        }
+
+        if (expected === 'number') {
+            if (Number.isNaN(value)) return `${path} must be a number`;
+            if (rule.integer && !Number.isInteger(value)) return `${path} must be a whole number`;
+            if (rule.min !== undefined && value < rule.min) return `${path} must be at least ${rule.min}`;
+            if (rule.max !== undefined && value > rule.max) return `${path} must be at most ${rule.max}`;
+        }
+
+        return null;
+    }
+
+    // ==========================================================================
+    // APPLYING
+    // ==========================================================================
+
+    /**
+     * Merge settings into the configuration in code. Later calls add to
+     * earlier ones.
+     *
+     * @param {Object} overrides - Shaped like CONFIG
+     * @throws {ConfigError} If any value is invalid; nothing is applied then
+     */
+    configure(overrides) {
+        if (!isPlainObject(overrides)) {
+            throw new ConfigError(['configure() expects an object']);
+        }
+
+        const problems = [];
+        const settings = this.collect(overrides, problem => problems.push(problem));
+        if (problems.length) throw new ConfigError(problems);
+
+        this.apply({
+            ...this.layers,
+            runtime: { ...this.layers.runtime, ...settings }
+        });
+    }
+
+    /**
+     * Drop everything set through configure()
+     */
+    reset() {
+        this.apply({ ...this.layers, runtime: {} });
+    }
+
+    apply(layers) {
+        const merged = clone(this.defaults);
+        [layers.json, layers.attributes, layers.runtime].forEach(settings => {
+            Object.keys(settings).forEach(path => setPath(merged, path, clone(settings[path])));
+        });
+
+        const problems = CROSS_CHECKS.map(check => check(merged)).filter(result => result !== true);
+        if (problems.length) throw new ConfigError(problems);
+
+        this.layers = layers;
+
+        // Write only what differs, so untouched objects keep their identity
+        const current = new Map(flatten(this.target));
+        const next = new Map(flatten(merged));
+        const changed = [];
+
+        new Set([...current.keys(), ...next.keys()]).forEach(path => {
+            if (isEqual(current.get(path), next.get(path))) return;
+
+            setPath(this.target, path, next.get(path));
+            changed.push(path);
+        });
+
+        if (!changed.length) return;
+
+        document.dispatchEvent(new CustomEvent('config:change', {
+            detail: {
+                changed,
+                sections: [...new Set(changed.map(path => path.split('.')[0]))]
+            }
+        }));
+    }
+}
+
+/**
+ * The configuration for the page's CONFIG, created on first use
+ */
+export function getRuntimeConfig() {
+    if (!sharedConfig) {
+        sharedConfig = new RuntimeConfig();
+    }
+    return sharedConfig;
+}
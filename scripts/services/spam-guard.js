@@ -0,0 +1,142 @@
+/**
+ * CATALYST - ENTERPRISE INTELLIGENCE SOLUTIONS
+ * Client-side spam and abuse guards for forms
+ *
+ * Three cheap checks run before a submission leaves the browser: a honeypot
+ * field real visitors never see, a minimum time between render and submit,
+ * and a per-browser rate limit kept in localStorage (or in memory for the
+ * page view when storage is blocked). An optional `challenge` hook can
+ * attach a proof-of-work or captcha token for the backend to verify.
+ *
+ * None of this replaces server-side checks; it keeps casual bots and
+ * accidental resubmits away from the endpoint.
+ */
+
+import { CONFIG } from '../config.js';
+
+// Reasons that only a script would trigger
+const BOT_REASONS = ['honeypot', 'too-fast'];
+
+export class SpamGuard {
+    constructor(form, options = {}) {
+        this.form = form;
+        this.options = {
+            ...CONFIG.contact.spam,
+            ...options,
+            rateLimit: {
+                ...CONFIG.contact.spam.rateLimit,
+                ...options.rateLimit
+            }
+        };
+
+        this.renderedAt = Date.now();
+
+        // Submission times, kept here too for when storage is unavailable;
+        // read from storage only while writes to it still succeed
+        this.submissions = [];
+        this.isPersisted = true;
+    }
+
+    /**
+     * Run every guard. Resolves to `{ allowed: true, payload }` with the
+     * honeypot stripped and any challenge token attached, or to
+     * `{ allowed: false, reason, silent, retryAfter }` when blocked.
+     */
+    async check(payload) {
+        const { honeypotName, minSubmitTime, silentForBots } = this.options;
+
+        let reason = null;
+        let retryAfter = 0;
+
+        if (honeypotName && payload[honeypotName]) {
+            reason = 'honeypot';
+        } else if (Date.now() - this.renderedAt < minSubmitTime) {
+            reason = 'too-fast';
+        } else {
+            retryAfter = this.getRetryAfter();
+            if (retryAfter > 0) reason = 'rate-limited';
+        }
+
+        if (reason) {
+            return {
+                allowed: false,
+                reason: reason,
+                silent: silentForBots && BOT_REASONS.includes(reason),
+                retryAfter: retryAfter
+            };
+        }
+
+        const cleaned = { ...payload };
+        delete cleaned[honeypotName];
+
+        if (typeof this.options.challenge === 'function') {
+            try {
+                cleaned.challengeToken = await this.options.challenge(cleaned);
+            } catch (error) {
+                console.warn('Spam challenge failed:', error);
+                return { allowed: false, reason: 'challenge-failed', silent: false, retryAfter: 0 };
+            }
+        }
+
+        return { allowed: true, payload: cleaned };
+    }
+
+    /**
+     * Skip the minimum fill time until the next submission, for answers
+     * that were typed on an earlier page view (a restored draft)
+     */
+    waiveMinTime() {
+        this.renderedAt = 0;
+    }
+
+    /**
+     * Milliseconds until another submission is allowed, or 0
+     */
+    getRetryAfter() {
+        const { max, window: windowMs } = this.options.rateLimit;
+        const recent = this.loadSubmissions();
+
+        if (recent.length < max) return 0;
+        return recent[recent.length - max] + windowMs - Date.now();
+    }
+
+    /**
+     * Count a submission against the rate limit
+     */
+    record() {
+        const recent = this.loadSubmissions();
+        recent.push(Date.now());
+        this.submissions = recent;
+
+        try {
+            localStorage.setItem(this.options.rateLimit.storageKey, JSON.stringify(recent));
+            this.isPersisted = true;
+        } catch (error) {
+            // Without storage the limit only applies to this page view
+            this.isPersisted = false;
+        }
+
+        // Restart the clock so a quick follow-up message is also checked
+        this.renderedAt = Date.now();
+    }
+
+    /**
+     * Submission times within the window, oldest first. Stored times cover
+     * every tab; the in-memory list stands in when storage is unavailable.
+     */
+    loadSubmissions() {
+        const cutoff = Date.now() - this.options.rateLimit.window;
+        let times = this.submissions;
+
+        if (this.isPersisted) {
+            try {
+                const stored = JSON.parse(localStorage.getItem(this.options.rateLimit.storageKey) || '[]');
+                if (Array.isArray(stored)) times = stored;
+            } catch (error) {
+                // Blocked or corrupt storage: fall back to this page's own times
+            }
+        }
+
+        return times.filter(time => time > cutoff);
+    }
+}
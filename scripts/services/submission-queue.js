@@ -0,0 +1,149 @@
+/**
+ * CATALYST - ENTERPRISE INTELLIGENCE SOLUTIONS
+ * Offline retry queue for form submissions
+ *
+ * Failed submissions are kept in localStorage so they survive a reload (or
+ * in memory until the page closes when storage is blocked), and are re-sent
+ * when the browser comes back online. Retries back off
+ * exponentially until `maxAttempts` is reached.
+ */
+
+import { CONFIG } from '../config.js';
+
+export class SubmissionQueue {
+    constructor(transport, options = {}) {
+        this.transport = transport;
+        this.options = {
+            ...CONFIG.contact.queue,
+            ...options
+        };
+
+        // The queue, kept here too for when storage is unavailable; read
+        // from storage only while writes to it still succeed
+        this.entries = [];
+        this.isPersisted = true;
+
+        this.retryTimer = null;
+        this.isFlushing = false;
+        this.handleOnline = () => this.flush();
+
+        window.addEventListener('online', this.handleOnline);
+    }
+
+    get size() {
+        return this.load().length;
+    }
+
+    load() {
+        if (this.isPersisted) {
+            try {
+                const stored = localStorage.getItem(this.options.storageKey);
+                return stored ? JSON.parse(stored) : [];
+            } catch (error) {
+                // Blocked or corrupt storage: fall back to this page's copy
+            }
+        }
+
+        return this.entries.slice();
+    }
+
+    save(entries) {
+        this.entries = entries.slice();
+
+        try {
+            if (entries.length) {
+                localStorage.setItem(this.options.storageKey, JSON.stringify(entries));
+            } else {
+                localStorage.removeItem(this.options.storageKey);
+            }
+            this.isPersisted = true;
+        } catch (error) {
+            // Storage full or disabled: the entries only live until the page closes
+            console.warn('Could not persist the submission queue:', error);
+            this.isPersisted = false;
+        }
+    }
+
+    enqueue(payload) {
+        const entry = {
+            id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+            payload: payload,
+            attempts: 0,
+            queuedAt: new Date().toISOString()
+        };
+
+        const entries = this.load();
+        entries.push(entry);
+        this.save(entries);
+
+        this.scheduleRetry(entry.attempts);
+        return entry;
+    }
+
+    async flush() {
+        // Replaying a mailto on page load or reconnect would open the mail
+        // client unasked, once per entry with each replacing the last
+        if (this.isFlushing || !navigator.onLine || this.transport.queueable === false) return;
+
+        clearTimeout(this.retryTimer);
+        this.retryTimer = null;
+        this.isFlushing = true;
+
+        const batch = this.load();
+        const remaining = [];
+
+        try {
+            for (const entry of batch) {
+                try {
+                    await this.transport.send(entry.payload);
+                    this.notify('onSent', entry);
+                } catch (error) {
+                    entry.attempts++;
+
+                    if (error.retryable === false || entry.attempts >= this.options.maxAttempts) {
+                        this.notify('onDropped', entry, error);
+                    } else {
+                        remaining.push(entry);
+                    }
+                }
+            }
+        } finally {
+            // Keep anything that was queued while this batch was in flight
+            const batchIds = batch.map(entry => entry.id);
+            const queuedMeanwhile = this.load().filter(entry => !batchIds.includes(entry.id));
+            this.save(remaining.concat(queuedMeanwhile));
+            this.isFlushing = false;
+        }
+
+        const pending = this.load();
+        if (pending.length) {
+            this.scheduleRetry(Math.max(...pending.map(entry => entry.attempts)));
+        }
+    }
+
+    scheduleRetry(attempts) {
+        if (this.retryTimer || !navigator.onLine) return;
+
+        const delay = Math.min(
+            this.options.retryDelay * Math.pow(2, attempts),
+            this.options.maxRetryDelay
+        );
+
+        this.retryTimer = setTimeout(() => {
+            this.retryTimer = null;
+            this.flush();
+        }, delay);
+    }
+
+    notify(name, ...args) {
+        if (typeof this.options[name] === 'function') {
+            this.options[name](...args);
+        }
+    }
+
+    destroy() {
+        clearTimeout(this.retryTimer);
+        this.retryTimer = null;
+        window.removeEventListener('online', this.handleOnline);
+    }
+}
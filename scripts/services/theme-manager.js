@@ -0,0 +1,173 @@
+/**
+ * CATALYST - ENTERPRISE INTELLIGENCE SOLUTIONS
+ * Theme Manager
+ *
+ * Themes are sets of CSS custom properties selected by
+ * <html data-theme="light|dark|high-contrast">. Left on "system", the theme
+ * follows prefers-contrast and prefers-color-scheme; a [data-theme-toggle]
+ * button cycles through the choices and the choice is kept in localStorage.
+ *
+ * A `theme:change` event ({ theme, preference }) is dispatched on document
+ * whenever the applied theme changes, so canvas effects can re-read their
+ * colour tokens.
+ */
+
+import { CONFIG } from '../config.js';
+import { getI18n } from './i18n.js';
+
+// Used until the locale catalog (theme.*) has loaded
+const THEME_LABELS = {
+    system: 'System',
+    light: 'Light',
+    dark: 'Dark',
+    'high-contrast': 'High contrast'
+};
+
+export class ThemeManager {
+    /**
+     * @param {Object} [options] - Overrides for CONFIG.theme
+     */
+    constructor(options = {}) {
+        this.options = { ...CONFIG.theme, ...options };
+        this.root = document.documentElement;
+        this.preference = this.loadPreference();
+        this.theme = null;
+        this.toggles = [];
+        this.i18n = getI18n();
+
+        this.queries = {
+            contrast: window.matchMedia('(prefers-contrast: more)'),
+            dark: window.matchMedia('(prefers-color-scheme: dark)')
+        };
+
+        this.init();
+    }
+
+    init() {
+        this.handleSystemChange = () => {
+            if (this.preference === 'system') this.apply();
+        };
+
+        this.handleLocaleChange = () => this.updateToggles();
+
+        Object.values(this.queries).forEach(query => {
+            if (query.addEventListener) {
+                query.addEventListener('change', this.handleSystemChange);
+            }
+        });
+        document.addEventListener('i18n:change', this.handleLocaleChange);
+
+        this.apply();
+        document.querySelectorAll('[data-theme-toggle]').forEach(toggle => this.bindToggle(toggle));
+    }
+
+    /**
+     * Choices in toggle order: "system" first, then every theme
+     */
+    getChoices() {
+        return ['system', ...this.options.themes];
+    }
+
+    loadPreference() {
+        try {
+            const stored = localStorage.getItem(this.options.storageKey);
+            return this.getChoices().includes(stored) ? stored : 'system';
+        } catch (error) {
+            return 'system';
+        }
+    }
+
+    /**
+     * Theme the system settings ask for
+     */
+    getSystemTheme() {
+        if (this.queries.contrast.matches && this.options.themes.includes('high-contrast')) {
+            return 'high-contrast';
+        }
+        return this.queries.dark.matches ? 'dark' : 'light';
+    }
+
+    /**
+     * @param {string} preference - "system" or one of CONFIG.theme.themes
+     */
+    setTheme(preference) {
+        if (!this.getChoices().includes(preference)) {
+            throw new Error(`Unknown theme: ${preference}`);
+        }
+
+        this.preference = preference;
+        try {
+            if (preference === 'system') {
+                localStorage.removeItem(this.options.storageKey);
+            } else {
+                localStorage.setItem(this.options.storageKey, preference);
+            }
+        } catch (error) {
+            // Private mode: the choice just won't outlive the page
+        }
+
+        this.apply();
+    }
+
+    cycle() {
+        const choices = this.getChoices();
+        this.setTheme(choices[(choices.indexOf(this.preference) + 1) % choices.length]);
+    }
+
+    apply() {
+        const theme = this.preference === 'system' ? this.getSystemTheme() : this.preference;
+        const changed = theme !== this.theme;
+
+        this.theme = theme;
+        this.root.dataset.theme = theme;
+        this.root.style.colorScheme = theme === 'light' ? 'light' : 'dark';
+        this.updateToggles();
+
+        if (changed) {
+            document.dispatchEvent(new CustomEvent('theme:change', {
+                detail: { theme, preference: this.preference }
+            }));
+        }
+    }
+
+    // ==========================================================================
+    // TOGGLE
+    // ==========================================================================
+
+    bindToggle(toggle) {
+        const handleClick = () => this.cycle();
+        toggle.addEventListener('click', handleClick);
+        this.toggles.push({ toggle, handleClick });
+        this.updateToggles();
+    }
+
+    getLabel(choice) {
+        return this.i18n.t(`theme.names.${choice}`, {}, THEME_LABELS[choice] || choice);
+    }
+
+    updateToggles() {
+        const choices = this.getChoices();
+        const next = choices[(choices.indexOf(this.preference) + 1) % choices.length];
+        const label = this.i18n.t('theme.toggle', {
+            current: this.getLabel(this.preference),
+            next: this.getLabel(next)
+        }, 'Theme: {current}. Switch to {next}');
+
+        this.toggles.forEach(({ toggle }) => {
+            toggle.setAttribute('aria-label', label);
+            toggle.title = label;
+            toggle.dataset.themePreference = this.preference;
+        });
+    }
+
+    destroy() {
+        Object.values(this.queries).forEach(query => {
+            if (query.removeEventListener) {
+                query.removeEventListener('change', this.handleSystemChange);
+            }
+        });
+        document.removeEventListener('i18n:change', this.handleLocaleChange);
+        this.toggles.forEach(({ toggle, handleClick }) => toggle.removeEventListener('click', handleClick));
+        this.toggles = [];
+    }
+}
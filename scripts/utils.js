@@ -0,0 +1,96 @@
+/**
+ * CATALYST - ENTERPRISE INTELLIGENCE SOLUTIONS
+ * Utility functions shared by the components
+ */
+
+// ==========================================================================
+// UTILITY FUNCTIONS
+// ==========================================================================
+
+/**
+ * Debounce function to limit the rate of function execution
+ */
+export function debounce(func, wait, immediate) {
+    let timeout;
+    return function executedFunction() {
+        const context = this;
+        const args = arguments;
+        const later = function() {
+            timeout = null;
+            if (!immediate) func.apply(context, args);
+        };
+        const callNow = immediate && !timeout;
+        clearTimeout(timeout);
+        timeout = setTimeout(later, wait);
+        if (callNow) func.apply(context, args);
+    };
+}
+
+/**
+ * Throttle function to limit the rate of function execution
+ */
+export function throttle(func, limit) {
+    let inThrottle;
+    return function() {
+        const args = arguments;
+        const context = this;
+        if (!inThrottle) {
+            func.apply(context, args);
+            inThrottle = true;
+            setTimeout(() => inThrottle = false, limit);
+        }
+    };
+}
+
+/**
+ * Check if user prefers reduced motion
+ */
+export function prefersReducedMotion() {
+    return window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+}
+
+/**
+ * Get random number between min and max
+ */
+export function random(min, max) {
+    return Math.random() * (max - min) + min;
+}
+
+/**
+ * Get scroll position with cross-browser support
+ */
+export function getScrollTop() {
+    return window.pageYOffset || document.documentElement.scrollTop || document.body.scrollTop || 0;
+}
+
+/**
+ * Read a CSS custom property from the root element
+ */
+export function getCssVariable(name, fallback = '') {
+    const value = getComputedStyle(document.documentElement).getPropertyValue(name).trim();
+    return value || fallback;
+}
+
+/**
+ * Convert a hex or rgb() colour to rgba() with the given alpha
+ */
+export function withAlpha(color, alpha) {
+    const value = color.trim();
+    let channels = null;
+
+    if (value.startsWith('#')) {
+        let hex = value.slice(1);
+        if (hex.length === 3 || hex.length === 4) {
+            hex = hex.split('').map(char => char + char).join('');
+        }
+        channels = [0, 2, 4].map(index => parseInt(hex.slice(index, index + 2), 16));
+    } else {
+        const match = value.match(/^rgba?\(([^)]+)\)$/i);
+        if (match) {
+            channels = match[1].split(/[\s,/]+/).slice(0, 3).map(Number);
+        }
+    }
+
+    if (!channels || channels.some(Number.isNaN)) return value;
+    return `rgba(${channels.join(', ')}, ${alpha})`;
+}
@@ -0,0 +1,122 @@
+/**
+ * CATALYST - ENTERPRISE INTELLIGENCE SOLUTIONS
+ * Local development server with a stub contact endpoint
+ *
+ * Serves the site (ES modules do not load from file://) and accepts
+ * POST /api/contact so the contact form pipeline can be exercised end to end.
+ *
+ *   node tools/dev-server.js [--port 8080] [--fail 503] [--delay 1500]
+ *
+ * --fail makes the endpoint answer with the given status, e.g. 503 to watch
+ * submissions land in the retry queue, or 422 to see a permanent failure.
+ * Point the form at the stub with data-endpoint="/api/contact".
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.ico': 'image/x-icon',
+    '.woff2': 'font/woff2'
+};
+
+function readOption(name, fallback) {
+    const index = process.argv.indexOf(`--${name}`);
+    return index > -1 && process.argv[index + 1] ? Number(process.argv[index + 1]) : fallback;
+}
+
+const options = {
+    port: readOption('port', 8080),
+    fail: readOption('fail', 0),
+    delay: readOption('delay', 0)
+};
+
+function handleContact(req, res) {
+    let body = '';
+
+    req.on('data', chunk => {
+        body += chunk;
+    });
+
+    req.on('end', () => {
+        setTimeout(() => {
+            let payload = null;
+            try {
+                payload = JSON.parse(body);
+            } catch (error) {
+                res.writeHead(400, { 'Content-Type': MIME_TYPES['.json'] });
+                res.end(JSON.stringify({ ok: false, error: 'Invalid JSON' }));
+                return;
+            }
+
+            console.log(`[contact] ${new Date().toISOString()}`, payload);
+
+            const status = options.fail || 202;
+            res.writeHead(status, { 'Content-Type': MIME_TYPES['.json'] });
+            res.end(JSON.stringify({ ok: !options.fail }));
+        }, options.delay);
+    });
+}
+
+function serveStatic(req, res) {
+    let urlPath;
+    try {
+        urlPath = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+    } catch (error) {
+        // Malformed percent-escape
+        res.writeHead(400);
+        res.end('Bad request');
+        return;
+    }
+
+    const filePath = path.join(ROOT, urlPath === '/' ? 'index.html' : urlPath);
+
+    // A bare prefix check would also let sibling directories through
+    if (!filePath.startsWith(ROOT + path.sep)) {
+        res.writeHead(403);
+        res.end();
+        return;
+    }
+
+    fs.readFile(filePath, (error, content) => {
+        if (error) {
+            res.writeHead(404);
+            res.end('Not found');
+            return;
+        }
+
+        res.writeHead(200, {
+            'Content-Type': MIME_TYPES[path.extname(filePath)] || 'application/octet-stream'
+        });
+        res.end(content);
+    });
+}
+
+http.createServer((req, res) => {
+    if (req.url.startsWith('/api/contact')) {
+        if (req.method !== 'POST') {
+            res.writeHead(405, { 'Allow': 'POST' });
+            res.end();
+            return;
+        }
+        handleContact(req, res);
+        return;
+    }
+
+    serveStatic(req, res);
+}).listen(options.port, () => {
+    console.log(`Catalyst dev server on http://localhost:${options.port}`);
+    if (options.fail) {
+        console.log(`/api/contact will answer ${options.fail}`);
+    }
+});